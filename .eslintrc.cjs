@@ -14,6 +14,12 @@ module.exports = {
     ecmaVersion: "latest",
     sourceType: 'module',
   },
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: { jest: true },
+    },
+  ],
   rules: {
     // Enforce browser best practices
     'no-alert': 'warn',
@@ -3,16 +3,24 @@
 // Configuration
 export { setConfig, getConfig, resetConfig, DEFAULT_CONFIG } from './src/config.js';
 
+// Isolated clients
+export { createClient } from './src/client.js';
+
 // Error handling
 export {
+  FacebookError,
   FacebookSDKError,
   FacebookAuthError,
   FacebookAPIError,
   FacebookPermissionError,
   FacebookTimeoutError,
+  FacebookAbortError,
   createFacebookError,
   handleError,
-  logError
+  logError,
+  getRecommendedAction,
+  ERROR_SUBCODES,
+  ERROR_ACTIONS
 } from './src/errors.js';
 
 // Utilities (token caching and validation)
@@ -21,14 +29,71 @@ export {
   setAccessToken,
   clearAccessToken,
   getCachedAccessToken,
+  getToken,
+  findToken,
   assertString,
   assertPositiveInteger,
   assertObject
 } from './src/utils.js';
 
+// Token stores
+export {
+  createMemoryTokenStore,
+  createWebStorageTokenStore,
+  createFileTokenStore,
+  pageTokenName,
+  USER_TOKEN,
+  APP_TOKEN
+} from './src/tokenStore.js';
+
 // Core API
 export { graphAPI, batchGraphAPI } from './src/graph.js';
 
+// Token lifecycle
+export { refreshToken, isTokenInvalidError } from './src/tokenManager.js';
+
+// Page access tokens
+export { resolvePageAccessToken, clearPageTokenCache } from './src/pageTokens.js';
+
+// Token introspection
+export { inspectToken, checkPageAccess, checkFormAccess } from './src/tokens.js';
+
+// Long-lived tokens (server-side)
+export {
+  exchangeForLongLivedToken,
+  getLongLivedPageTokens,
+  getLongLivedPageToken
+} from './src/tokens.js';
+
+// Graph API versions
+export { getVersionInfo, VERSION_SUNSETS } from './src/versions.js';
+
+// Retry policy
+export { isTransientError, TRANSIENT_ERROR_CODES } from './src/retry.js';
+
+// Logging and lifecycle events
+export { on, off } from './src/events.js';
+
+// Field selection
+export { fields, field, formatFields } from './src/fields.js';
+
+// Response caching
+export {
+  invalidateCache,
+  clearCache,
+  createMemoryCacheStore,
+  createWebStorageCacheStore
+} from './src/cache.js';
+
+// Pagination
+export { paginate, collectAll } from './src/pagination.js';
+
+// Task queue for fan-outs
+export { createTaskQueue, getTaskQueue, mapWithQueue, TASK_PRIORITY } from './src/queue.js';
+
+// Rate limit awareness
+export { getUsageState, parseUsageHeaders } from './src/rateLimit.js';
+
 // SDK Initialization
 export { initFacebookSdk,getSDKStatus } from './src/initFacebookSDK.js';
 
@@ -41,6 +106,14 @@ export {
   getAccessToken
 } from './src/auth.js';
 
+// SDK-free login (Login Dialog)
+export {
+  createOAuthUrl,
+  loginWithOAuth,
+  handleOAuthCallback,
+  exchangeCodeForToken
+} from './src/oauth.js';
+
 // Profile Management
 export {
   getProfile,
@@ -57,18 +130,24 @@ export {
   fetchOwnedPages,
   fetchClientPages,
   fetchManagedPages,
-  fetchAllPages
+  fetchAllPages,
+  iteratePages
 } from './src/pages.js';
 
 // Posts Management
 export {
   getPagePosts,
+  iteratePagePosts,
   getPostDetails,
 } from './src/posts.js';
 
+// Media uploads
+export { uploadPagePhoto, uploadPageVideo } from './src/uploads.js';
+
 // Lead Forms Management
 export {
   getLeadForms,
+  iterateLeadForms,
   getLeadFormDetails,
   getActiveLeadForms,
   getLeadFormsFromMultiplePages,
@@ -85,7 +164,7 @@ export {
 } from './src/leads.js';
 
 // Comments Management
-export { getComments,getLikes } from './src/comments.js';
+export { getComments, getLikes, iterateComments, iterateLikes } from './src/comments.js';
 
 
 
@@ -93,8 +172,16 @@ export { getComments,getLikes } from './src/comments.js';
 export {
   getAllPermissions,
   fetchAllPermissions,
-  getAllRequiredPermissions
+  getAllRequiredPermissions,
+  preflightPermissions,
+  clearPermissionCache,
+  ensurePermissions,
+  withPermissions
 } from './src/permissions.js';
+export {
+  PERMISSION_MANIFEST,
+  getRequiredPermissions
+} from './src/permissionManifest.js';
 
 // Convenience exports with legacy names for backward compatibility
 export { getProfile as fetchUserProfile } from './src/profile.js';
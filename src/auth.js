@@ -1,5 +1,5 @@
 // src/auth.js
-import { getConfig } from './config.js';
+import { resolveContext } from './context.js';
 import { FacebookSDKError, FacebookAuthError, handleError, logError } from './errors.js';
 
 /**
@@ -12,18 +12,20 @@ import { FacebookSDKError, FacebookAuthError, handleError, logError } from './er
  * @returns {Promise<object>} - Enhanced authentication response with user info
  */
 export async function loginWithFacebook(scope, options = {}) {
-  const config = getConfig();
-  
+  // If first parameter is options object
+  if (typeof scope === 'object' && scope !== null && !Array.isArray(scope)) {
+    options = scope;
+    scope = undefined;
+  }
+
+  const config = resolveContext(options).getConfig();
+
   // Handle scope parameter - can be string, array, or use default
   let scopeString;
   if (Array.isArray(scope)) {
     scopeString = scope.join(',');
   } else if (typeof scope === 'string') {
     scopeString = scope;
-  } else if (typeof scope === 'object' && scope !== null) {
-    // If first parameter is options object
-    options = scope;
-    scopeString = config.defaultPermissions.basic.join(',');
   } else {
     scopeString = config.defaultPermissions.basic.join(',');
   }
@@ -40,7 +42,7 @@ export async function loginWithFacebook(scope, options = {}) {
         'Facebook SDK not loaded. Call initFacebookSdk() first.',
         'SDK_NOT_LOADED'
       );
-      logError(sdkError);
+      logError(sdkError, config.logger);
       return reject(sdkError);
     }
 
@@ -71,7 +73,7 @@ export async function loginWithFacebook(scope, options = {}) {
               response.status === 'not_authorized' ? 'AUTH_DENIED' : 'AUTH_CANCELLED'
             );
             authError.fbResponse = response;
-            logError(authError);
+            logError(authError, config.logger);
             reject(authError);
           }
         } catch (error) {
@@ -80,7 +82,7 @@ export async function loginWithFacebook(scope, options = {}) {
             'loginWithFacebook', 
             { scope: scopeString, options: loginOptions }
           );
-          logError(processedError);
+          logError(processedError, config.logger);
           reject(processedError);
         }
       },
@@ -91,16 +93,19 @@ export async function loginWithFacebook(scope, options = {}) {
 
 /**
  * Logs out the current user
+ * @param {object} [options={}] - Options (client)
  * @returns {Promise<void>}
  */
-export function logoutFromFacebook() {
+export function logoutFromFacebook(options = {}) {
+  const config = resolveContext(options).getConfig();
+
   return new Promise((resolve, reject) => {
     if (typeof FB === 'undefined' || !FB.logout) {
       const sdkError = new FacebookSDKError(
         'Facebook SDK not loaded. Call initFacebookSdk() first.',
         'SDK_NOT_LOADED'
       );
-      logError(sdkError);
+      logError(sdkError, config.logger);
       return reject(sdkError);
     }
 
@@ -109,7 +114,7 @@ export function logoutFromFacebook() {
         resolve(response);
       } catch (error) {
         const processedError = handleError(error, 'logoutFromFacebook');
-        logError(processedError);
+        logError(processedError, config.logger);
         reject(processedError);
       }
     });
@@ -118,16 +123,19 @@ export function logoutFromFacebook() {
 
 /**
  * Gets current login status
+ * @param {object} [options={}] - Options (client)
  * @returns {Promise<object>} Login status response
  */
-export function getLoginStatus() {
+export function getLoginStatus(options = {}) {
+  const config = resolveContext(options).getConfig();
+
   return new Promise((resolve, reject) => {
     if (typeof FB === 'undefined' || !FB.getLoginStatus) {
       const sdkError = new FacebookSDKError(
         'Facebook SDK not loaded. Call initFacebookSdk() first.',
         'SDK_NOT_LOADED'
       );
-      logError(sdkError);
+      logError(sdkError, config.logger);
       return reject(sdkError);
     }
 
@@ -136,7 +144,7 @@ export function getLoginStatus() {
         resolve(response);
       } catch (error) {
         const processedError = handleError(error, 'getLoginStatus');
-        logError(processedError);
+        logError(processedError, config.logger);
         reject(processedError);
       }
     });
@@ -145,28 +153,30 @@ export function getLoginStatus() {
 
 /**
  * Convenience method to check if user is logged in
+ * @param {object} [options={}] - Options (client)
  * @returns {Promise<boolean>} Whether user is logged in
  */
-export async function isLoggedIn() {
+export async function isLoggedIn(options = {}) {
   try {
-    const status = await getLoginStatus();
+    const status = await getLoginStatus(options);
     return status.status === 'connected';
   } catch (error) {
-    logError(error);
+    logError(error, resolveContext(options).getConfig().logger);
     return false;
   }
 }
 
 /**
  * Gets current access token if user is logged in
+ * @param {object} [options={}] - Options (client)
  * @returns {Promise<string|null>} Access token or null
  */
-export async function getAccessToken() {
+export async function getAccessToken(options = {}) {
   try {
-    const status = await getLoginStatus();
+    const status = await getLoginStatus(options);
     return status.status === 'connected' ? status.authResponse.accessToken : null;
   } catch (error) {
-    logError(error);
+    logError(error, resolveContext(options).getConfig().logger);
     return null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,289 @@
+// src/cache.js
+import { resolveContext } from './context.js';
+import { matchesEndpointPattern } from './utils.js';
+import { resolveVersion } from './versions.js';
+
+/**
+ * Opt-in response cache for GET requests made through graphAPI.
+ *
+ * Enable it with setConfig({ cache: { ttl, ttls, store } }):
+ * - ttl: default time-to-live in ms (60s)
+ * - ttls: per-endpoint TTLs keyed by endpoint pattern, `*` matching one path segment
+ *   (e.g. { 'me/accounts': 300000 })
+ * - store: a cache store (memory by default, see createWebStorageCacheStore), or any
+ *   object implementing get(key), set(key, entry, ttlMs), delete(key), keys() and
+ *   optionally clear(); each method may be async
+ *
+ * Per call, apiOptions.cache can be `false` (bypass), a TTL in ms, or { ttl, refresh }.
+ */
+
+const DEFAULT_TTL = 60 * 1000;
+
+/**
+ * Copies a response so callers mutating results never alter cached entries
+ * @param {any} value - JSON-compatible response
+ * @returns {any} Deep copy
+ */
+export const cloneValue = (value) => {
+  if (value === undefined) return value;
+  return typeof globalThis.structuredClone === 'function'
+    ? globalThis.structuredClone(value)
+    : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Default memory stores, one per client context
+ */
+const defaultStores = new WeakMap();
+
+/**
+ * Creates an in-memory cache store
+ * @param {object} [options={}] - Store options
+ * @param {number} [options.maxEntries=500] - Oldest entries are evicted beyond this size
+ * @returns {object} Cache store
+ */
+export function createMemoryCacheStore(options = {}) {
+  const { maxEntries = 500 } = options;
+  const entries = new Map();
+
+  return {
+    get(key) {
+      return entries.get(key);
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    keys() {
+      return Array.from(entries.keys());
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Creates a cache store backed by a Web Storage object (localStorage or sessionStorage)
+ * @param {Storage} storage - Storage to use
+ * @param {object} [options={}] - Store options
+ * @param {string} [options.prefix='interact-fb:cache:'] - Key prefix for this store's entries
+ * @returns {object} Cache store
+ */
+export function createWebStorageCacheStore(storage, options = {}) {
+  const { prefix = 'interact-fb:cache:' } = options;
+
+  if (!storage || typeof storage.getItem !== 'function') {
+    throw new TypeError('storage must implement the Web Storage API (getItem/setItem/removeItem)');
+  }
+
+  const keys = () => {
+    const result = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(prefix)) {
+        result.push(key.slice(prefix.length));
+      }
+    }
+    return result;
+  };
+
+  return {
+    get(key) {
+      const raw = storage.getItem(prefix + key);
+      if (!raw) return undefined;
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        storage.removeItem(prefix + key);
+        return undefined;
+      }
+    },
+    set(key, entry) {
+      try {
+        storage.setItem(prefix + key, JSON.stringify(entry));
+      } catch (error) {
+        // Quota exceeded or storage disabled: caching is best effort
+      }
+    },
+    delete(key) {
+      storage.removeItem(prefix + key);
+    },
+    keys,
+    clear() {
+      keys().forEach((key) => storage.removeItem(prefix + key));
+    }
+  };
+}
+
+/**
+ * Gets the cache store of a client context
+ * @param {object} client - Client context
+ * @param {object} cacheConfig - Resolved cache config
+ * @returns {object} Cache store
+ */
+function getStore(client, cacheConfig) {
+  if (cacheConfig && cacheConfig.store) {
+    return cacheConfig.store;
+  }
+  if (!defaultStores.has(client)) {
+    defaultStores.set(client, createMemoryCacheStore(cacheConfig || {}));
+  }
+  return defaultStores.get(client);
+}
+
+/**
+ * Hashes a token so cache keys never contain raw access tokens (cyrb53, not cryptographic)
+ * @param {string} value - Value to hash
+ * @returns {string} Hash as hex
+ */
+export function hashToken(value = '') {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Builds the cache key of a request from endpoint, version, params and token identity
+ * @param {object} request - graphAPI request
+ * @param {object} config - Resolved configuration
+ * @returns {string} Cache key
+ */
+export function buildCacheKey(request, config) {
+  const { endpoint, accessToken, params = {}, options = {} } = request;
+  const version = resolveVersion(endpoint, options, config);
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${encodeURIComponent(String(params[key]))}`)
+    .join('&');
+
+  return `${version}/${endpoint}?${query}#${hashToken(accessToken || '')}`;
+}
+
+/**
+ * Resolves the TTL for an endpoint
+ * @param {string} endpoint - Endpoint
+ * @param {object} cacheConfig - Resolved cache config
+ * @returns {number} TTL in ms
+ */
+function resolveTtl(endpoint, cacheConfig) {
+  const { ttl = DEFAULT_TTL, ttls = {} } = cacheConfig;
+  const pattern = Object.keys(ttls).find((key) => matchesEndpointPattern(key, endpoint));
+  return pattern ? ttls[pattern] : ttl;
+}
+
+/**
+ * Serves GET requests from the cache and stores successful responses.
+ * Runs as the innermost middleware so user middleware see every call.
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @returns {Function} Middleware
+ */
+export function createCacheMiddleware(client, config) {
+  return async (request, next) => {
+    const callCache = request.options.cache;
+    const cacheConfig = config.cache;
+
+    if (!cacheConfig || cacheConfig.enabled === false || callCache === false) {
+      return next();
+    }
+    if (String(request.method).toUpperCase() !== 'GET') {
+      return next();
+    }
+
+    const callSettings = typeof callCache === 'number' ? { ttl: callCache } : callCache || {};
+    const store = getStore(client, cacheConfig);
+    const key = buildCacheKey(request, config);
+
+    if (!callSettings.refresh) {
+      const entry = await store.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return cloneValue(entry.value);
+      }
+      if (entry) {
+        await store.delete(key);
+      }
+    }
+
+    const value = await next();
+    const ttl = callSettings.ttl != null ? callSettings.ttl : resolveTtl(request.endpoint, cacheConfig);
+
+    if (ttl > 0) {
+      const entry = { value: cloneValue(value), endpoint: request.endpoint, expiresAt: Date.now() + ttl };
+      await store.set(key, entry, ttl);
+    }
+
+    return value;
+  };
+}
+
+/**
+ * Removes cached responses whose endpoint matches
+ * @param {string|RegExp|Function} [match] - Endpoint (also matches its edges, e.g. a page ID
+ *   invalidates `PAGE_ID` and `PAGE_ID/posts`), RegExp, or predicate (endpoint, entry) => boolean.
+ *   Omit to clear everything.
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function invalidateCache(match, options = {}) {
+  const client = resolveContext(options);
+  const store = getStore(client, client.getConfig().cache);
+  const keys = await store.keys();
+  let removed = 0;
+
+  for (const key of keys) {
+    const entry = await store.get(key);
+    if (!entry) continue;
+
+    const { endpoint } = entry;
+    let matched;
+    if (match == null) {
+      matched = true;
+    } else if (typeof match === 'string') {
+      const target = match.replace(/^\/+|\/+$/g, '');
+      matched = endpoint === target || endpoint.startsWith(`${target}/`);
+    } else if (match instanceof RegExp) {
+      matched = match.test(endpoint);
+    } else if (typeof match === 'function') {
+      matched = Boolean(match(endpoint, entry));
+    }
+
+    if (matched) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Clears every cached response
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {Promise<void>}
+ */
+export async function clearCache(options = {}) {
+  const client = resolveContext(options);
+  const store = getStore(client, client.getConfig().cache);
+
+  if (typeof store.clear === 'function') {
+    await store.clear();
+    return;
+  }
+  await invalidateCache(undefined, options);
+}
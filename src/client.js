@@ -0,0 +1,255 @@
+// src/client.js
+import { createContext } from './context.js';
+import { assertMiddleware } from './middleware.js';
+import { isFieldBuilder } from './fields.js';
+import { invalidateCache, clearCache } from './cache.js';
+import { getUsageState } from './rateLimit.js';
+import {
+  inspectToken,
+  checkPageAccess,
+  checkFormAccess,
+  exchangeForLongLivedToken,
+  getLongLivedPageTokens,
+  getLongLivedPageToken
+} from './tokens.js';
+import { resolvePageAccessToken, clearPageTokenCache } from './pageTokens.js';
+import { refreshToken } from './tokenManager.js';
+import { on, off } from './events.js';
+import {
+  createOAuthUrl,
+  loginWithOAuth,
+  handleOAuthCallback,
+  exchangeCodeForToken
+} from './oauth.js';
+import { paginate, collectAll } from './pagination.js';
+import { getTaskQueue, mapWithQueue } from './queue.js';
+import { graphAPI, batchGraphAPI } from './graph.js';
+import { initFacebookSdk, getSDKStatus } from './initFacebookSDK.js';
+import {
+  loginWithFacebook,
+  logoutFromFacebook,
+  getLoginStatus,
+  isLoggedIn,
+  getAccessToken
+} from './auth.js';
+import { getProfile, getProfilePicture, getBasicProfile } from './profile.js';
+import {
+  getPages,
+  getPageInfo,
+  getManagedPage,
+  managesPage,
+  fetchOwnedPages,
+  fetchClientPages,
+  fetchManagedPages,
+  fetchAllPages,
+  iteratePages
+} from './pages.js';
+import { getPagePosts, iteratePagePosts, getPostDetails } from './posts.js';
+import { uploadPagePhoto, uploadPageVideo } from './uploads.js';
+import {
+  getLeadForms,
+  iterateLeadForms,
+  getLeadFormDetails,
+  getActiveLeadForms,
+  getLeadFormsFromMultiplePages,
+  getLeadFormStats
+} from './forms.js';
+import {
+  getLeads,
+  getAllLeads,
+  getLeadsFromMultipleForms,
+  getLeadStats,
+  getRecentLeads
+} from './leads.js';
+import { getComments, getLikes, iterateComments, iterateLikes } from './comments.js';
+import {
+  getAllPermissions,
+  fetchAllPermissions,
+  getAllRequiredPermissions,
+  preflightPermissions,
+  clearPermissionCache,
+  ensurePermissions,
+  withPermissions
+} from './permissions.js';
+
+/**
+ * Adds the client context to an options argument
+ * @param {object|string|undefined} options - Original options (getProfile also accepts a fields string or builder)
+ * @param {object} client - Client context
+ * @returns {object} Options bound to the client
+ */
+function withClient(options, client) {
+  if (typeof options === 'string' || isFieldBuilder(options)) {
+    return { fields: options, client };
+  }
+  return { ...options, client };
+}
+
+/**
+ * Creates an isolated Facebook client with its own config, token cache and transport.
+ * Every API function is exposed on the client and bound to it; the top-level exports
+ * keep using the global config as the default client.
+ * @param {object} [options={}] - Client options
+ * @param {string} [options.appId] - Facebook App ID
+ * @param {string} [options.version] - Graph API version
+ * @param {string} [options.token] - Access token to seed the client's token cache
+ * @param {number} [options.tokenExpiresIn] - Lifetime of `token` in seconds
+ * @param {...any} [options.config] - Any other config key (timeout, baseUrl, fetch, headers...)
+ * @returns {object} Client exposing every API function plus its own config/token accessors
+ */
+export function createClient(options = {}) {
+  const { token, tokenExpiresIn, ...config } = options;
+  const client = createContext(config);
+
+  if (token) {
+    client.setAccessToken(token, tokenExpiresIn);
+  }
+
+  // Binds fn so that its argument at optionsIndex carries this client
+  const bind = (fn, optionsIndex) => (...args) => {
+    args[optionsIndex] = withClient(args[optionsIndex], client);
+    return fn(...args);
+  };
+
+  const api = {
+    ...client,
+
+    /**
+     * Appends a middleware to this client's chain
+     * @param {Function} middleware - async (request, next) => response
+     * @returns {object} The client, for chaining
+     */
+    use(middleware) {
+      assertMiddleware(middleware);
+      client.setConfig({ middleware: [...client.getConfig().middleware, middleware] });
+      return api;
+    },
+
+    // Core API
+    graphAPI: bind(graphAPI, 4),
+    batchGraphAPI: bind(batchGraphAPI, 2),
+
+    // Response caching
+    invalidateCache: bind(invalidateCache, 1),
+    clearCache: bind(clearCache, 0),
+
+    // Pagination
+    paginate: bind(paginate, 3),
+    collectAll: bind(collectAll, 3),
+
+    // Task queue
+    getTaskQueue: bind(getTaskQueue, 0),
+    mapWithQueue: bind(mapWithQueue, 2),
+
+    // Rate limit awareness
+    getUsageState: bind(getUsageState, 0),
+
+    // Lifecycle events
+    on: bind(on, 2),
+    off: bind(off, 2),
+
+    // SDK and authentication (the JS SDK itself is global)
+    initFacebookSdk: (appId = client.getConfig().appId, sdkOptions = {}) =>
+      initFacebookSdk(appId, withClient(sdkOptions, client)),
+    getSDKStatus,
+    loginWithFacebook: (scope, loginOptions) =>
+      typeof scope === 'object' && scope !== null && !Array.isArray(scope)
+        ? loginWithFacebook(withClient(scope, client))
+        : loginWithFacebook(scope, withClient(loginOptions, client)),
+    logoutFromFacebook: bind(logoutFromFacebook, 0),
+    getLoginStatus: bind(getLoginStatus, 0),
+    isLoggedIn: bind(isLoggedIn, 0),
+    getAccessToken: bind(getAccessToken, 0),
+
+    // SDK-free login
+    createOAuthUrl: bind(createOAuthUrl, 0),
+    loginWithOAuth: (scope, loginOptions) =>
+      typeof scope === 'object' && scope !== null && !Array.isArray(scope)
+        ? loginWithOAuth(withClient(scope, client))
+        : loginWithOAuth(scope, withClient(loginOptions, client)),
+    handleOAuthCallback: bind(handleOAuthCallback, 1),
+    exchangeCodeForToken: bind(exchangeCodeForToken, 1),
+
+    // Token lifecycle
+    refreshToken: bind(refreshToken, 1),
+
+    // Page access tokens
+    resolvePageAccessToken: bind(resolvePageAccessToken, 2),
+    clearPageTokenCache: bind(clearPageTokenCache, 0),
+
+    // Token introspection
+    inspectToken: bind(inspectToken, 1),
+    checkPageAccess: bind(checkPageAccess, 2),
+    checkFormAccess: bind(checkFormAccess, 2),
+
+    // Long-lived tokens
+    exchangeForLongLivedToken: bind(exchangeForLongLivedToken, 1),
+    getLongLivedPageTokens: bind(getLongLivedPageTokens, 1),
+    getLongLivedPageToken: bind(getLongLivedPageToken, 2),
+
+    // Profile
+    getProfile: bind(getProfile, 1),
+    getProfilePicture: bind(getProfilePicture, 1),
+    getBasicProfile: bind(getBasicProfile, 1),
+
+    // Pages
+    getPages: bind(getPages, 1),
+    getPageInfo: bind(getPageInfo, 2),
+    getManagedPage: bind(getManagedPage, 2),
+    managesPage: bind(managesPage, 2),
+    fetchOwnedPages: bind(fetchOwnedPages, 1),
+    fetchClientPages: bind(fetchClientPages, 1),
+    fetchManagedPages: bind(fetchManagedPages, 1),
+    fetchAllPages: bind(fetchAllPages, 1),
+    iteratePages: bind(iteratePages, 1),
+
+    // Posts
+    getPagePosts: bind(getPagePosts, 2),
+    iteratePagePosts: bind(iteratePagePosts, 2),
+    getPostDetails: bind(getPostDetails, 2),
+
+    // Media uploads
+    uploadPagePhoto: bind(uploadPagePhoto, 3),
+    uploadPageVideo: bind(uploadPageVideo, 3),
+
+    // Lead forms
+    getLeadForms: bind(getLeadForms, 2),
+    iterateLeadForms: bind(iterateLeadForms, 2),
+    getLeadFormDetails: bind(getLeadFormDetails, 2),
+    getActiveLeadForms: bind(getActiveLeadForms, 2),
+    getLeadFormsFromMultiplePages: bind(getLeadFormsFromMultiplePages, 2),
+    getLeadFormStats: bind(getLeadFormStats, 2),
+
+    // Leads
+    getLeads: bind(getLeads, 2),
+    getAllLeads: bind(getAllLeads, 2),
+    getLeadsFromMultipleForms: bind(getLeadsFromMultipleForms, 2),
+    getLeadStats: bind(getLeadStats, 2),
+    getRecentLeads: bind(getRecentLeads, 2),
+
+    // Comments
+    getComments: bind(getComments, 2),
+    getLikes: bind(getLikes, 2),
+    iterateComments: bind(iterateComments, 2),
+    iterateLikes: bind(iterateLikes, 2),
+
+    // Permissions
+    getAllPermissions: bind(getAllPermissions, 1),
+    fetchAllPermissions: bind(fetchAllPermissions, 1),
+    getAllRequiredPermissions: bind(getAllRequiredPermissions, 1),
+    preflightPermissions: bind(preflightPermissions, 2),
+    clearPermissionCache: bind(clearPermissionCache, 0),
+    ensurePermissions: bind(ensurePermissions, 1),
+    withPermissions: bind(withPermissions, 1),
+
+    // Legacy names
+    fetchUserProfile: bind(getProfile, 1),
+    fetchUserPages: bind(getPages, 1),
+    fetchPagePosts: bind(getPagePosts, 2),
+    fetchPageLeadForms: bind(getLeadForms, 2),
+    fetchFormLeads: bind(getLeads, 2),
+    fetchPostComments: bind(getComments, 2)
+  };
+
+  return api;
+}
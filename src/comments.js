@@ -1,8 +1,11 @@
 // src/comments.js
 import { graphAPI } from './graph.js';
-import { getConfig } from './config.js';
+import { resolvePostAccessToken, paginateWithPostToken } from './pageTokens.js';
+import { resolveContext } from './context.js';
+import { preflightPermissions } from './permissions.js';
 import { handleError } from './errors.js';
-import { resolveAccessToken, assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { formatFields } from './fields.js';
 
 /**
  * Fetches comments from a Facebook post
@@ -14,7 +17,8 @@ import { resolveAccessToken, assertString, assertPositiveInteger, assertObject }
 export async function getComments(postId, accessToken, options = {}) {
   try {
     assertString(postId, 'postId');
-    const config = getConfig();
+    const client = resolveContext(options);
+    await preflightPermissions('getComments', accessToken, options);
     const {
       fields = 'id,message,created_time,from,like_count,comment_count',
       limit = 25,
@@ -28,14 +32,14 @@ export async function getComments(postId, accessToken, options = {}) {
 
 
 
-    const params = { fields, limit, order };
+    const params = { fields: formatFields(fields), limit, order };
     
     return await graphAPI(
       `${postId}/comments`,
-      await resolveAccessToken(accessToken),
+      await resolvePostAccessToken(postId, accessToken, options),
       'GET',
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -44,6 +48,29 @@ export async function getComments(postId, accessToken, options = {}) {
 }
 
 
+/**
+ * Iterates over all comments of a Facebook post, following pagination
+ * @param {string} postId - Facebook post ID
+ * @param {string} accessToken - Access token
+ * @param {object} [options={}] - Query options (fields, limit per page, order) and
+ *   pagination options (maxItems, maxPages, maxDuration)
+ * @returns {AsyncGenerator<object>} Comments
+ */
+export function iterateComments(postId, accessToken, options = {}) {
+  assertString(postId, 'postId');
+  assertObject(options, 'options');
+
+  const {
+    fields = 'id,message,created_time,from,like_count,comment_count',
+    limit = 25,
+    order = 'chronological',
+    ...paginationOptions
+  } = options;
+
+  return paginateWithPostToken(postId, `${postId}/comments`, accessToken, { fields: formatFields(fields), limit, order }, paginationOptions);
+}
+
+
 /**
  * Fetches likes from a Facebook post
  * @param {string} postId - Facebook post ID
@@ -54,7 +81,8 @@ export async function getComments(postId, accessToken, options = {}) {
 export async function getLikes(postId, accessToken, options = {}) {
   try {
     assertString(postId, 'postId');
-    const config = getConfig();
+    const client = resolveContext(options);
+    await preflightPermissions('getLikes', accessToken, options);
     const {
       fields = 'id,name,pic_square',
       limit = 25,
@@ -68,15 +96,15 @@ export async function getLikes(postId, accessToken, options = {}) {
 
 
 
-    const params = { fields, limit };
+    const params = { fields: formatFields(fields), limit };
     if (summary) params.summary = 'true';
     
     return await graphAPI(
       `${postId}/likes`,
-      await resolveAccessToken(accessToken),
+      await resolvePostAccessToken(postId, accessToken, options),
       'GET',
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -84,6 +112,27 @@ export async function getLikes(postId, accessToken, options = {}) {
   }
 }
 
+/**
+ * Iterates over all likes of a Facebook post, following pagination
+ * @param {string} postId - Facebook post ID
+ * @param {string} accessToken - Access token
+ * @param {object} [options={}] - Query options (fields, limit per page) and
+ *   pagination options (maxItems, maxPages, maxDuration)
+ * @returns {AsyncGenerator<object>} Likes
+ */
+export function iterateLikes(postId, accessToken, options = {}) {
+  assertString(postId, 'postId');
+  assertObject(options, 'options');
+
+  const {
+    fields = 'id,name,pic_square',
+    limit = 25,
+    ...paginationOptions
+  } = options;
+
+  return paginateWithPostToken(postId, `${postId}/likes`, accessToken, { fields: formatFields(fields), limit }, paginationOptions);
+}
+
 /**
  * Fetches user's profile picture
  * @param {string} userId - Facebook user ID (default: 'me')
@@ -93,6 +142,7 @@ export async function getLikes(postId, accessToken, options = {}) {
  */
 export async function getPicture(userId = 'me', accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
     const {
       width = 200,
       height = 200,
@@ -105,10 +155,10 @@ export async function getPicture(userId = 'me', accessToken, options = {}) {
     
     return await graphAPI(
       `${userId}/picture`,
-      accessToken,
+      await client.resolveAccessToken(accessToken),
       'GET',
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
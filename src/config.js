@@ -1,17 +1,78 @@
 // src/config.js
+import { fields, field } from './fields.js';
 
 /**
  * Default configuration for the Facebook SDK and API calls
  */
 export const DEFAULT_CONFIG = {
+  appId: null,
+  appSecret: null, // Server only: adds appsecret_proof to every request, see src/secretProof.js
   version: 'v23.0',
+  versions: {}, // Per-endpoint version pins, e.g. { 'me/accounts': 'v22.0' }, see src/versions.js
+  versionWarnings: {
+    enabled: true, // Warn on deprecated versions and on silent upgrades (facebook-api-version header)
+    warnDays: 90, // Days before a version's sunset from which requests using it warn
+    sunsets: {} // Extra or corrected entries for VERSION_SUNSETS: { 'v24.0': { released, expires } }
+  },
+  baseUrl: 'https://graph.facebook.com',
+  fetch: null, // Custom fetch implementation (defaults to global fetch)
+  headers: {}, // Default headers sent with every request
+  middleware: [], // Ordered request/response middleware, see src/middleware.js
+  pageTokens: {
+    enabled: true, // Page-scoped functions swap user tokens for page tokens, see src/pageTokens.js
+    ttl: 60 * 60 * 1000 // Page token lookups older than this are refreshed
+  },
+  tokenRefresh: {
+    enabled: true, // Refresh invalid (code 190) stored tokens and replay the request once, see src/tokenManager.js
+    refresh: null, // async ({ name, token, reason, error }) => token or { accessToken, expiresIn, expiresAt }
+    expiringWithin: 5 * 60 * 1000 // Emit token:expiring (and refresh early) this long before expiry
+  },
+  oauth: {
+    redirectUri: null, // Login Dialog redirect URI registered in the app, see src/oauth.js
+    responseType: 'token', // 'token' (browser) or 'code' (exchanged on the server)
+    dialogUrl: 'https://www.facebook.com',
+    stateTtl: 10 * 60 * 1000 // Logins must come back within this long
+  },
+  permissions: {
+    preflight: false, // Check PERMISSION_MANIFEST against granted permissions before each call, see src/permissions.js
+    ttl: 5 * 60 * 1000 // Granted permissions are re-fetched after this long
+  },
+  tokenStore: null, // Where tokens persist (memory by default), see src/tokenStore.js
+  logger: null, // { debug, info, warn, error } receiving lifecycle events and errors, see src/events.js
+  cache: null, // Opt-in GET response cache, e.g. { ttl: 60000, ttls: {}, store }, see src/cache.js
+  dedupe: true, // Share in-flight identical GET requests, see src/dedupe.js
   timeout: 10000,
   retryAttempts: 3,
   retryDelay: 1000,
+  retry: {
+    jitter: 'equal', // 'full', 'equal' or 'none', see src/retry.js
+    maxDelay: 60000, // Cap for any retry delay, including Retry-After and regain times
+    shouldRetry: null // (error, attempt) => boolean, replaces the transient-error check
+  },
+  rateLimit: {
+    enabled: true,
+    throttleAt: 75, // % usage at which requests start being spaced out
+    pauseAt: 95, // % usage at which requests wait maxDelay (or the regain time)
+    maxDelay: 30000,
+    resetAfter: 60 * 60 * 1000 // Usage readings older than this are ignored
+  },
+  queue: {
+    concurrency: 5, // Parallel tasks in multi-resource helpers, see src/queue.js
+    perKeyConcurrency: Infinity // Parallel tasks per access token
+  },
   defaultFields: {
     profile: 'id,name,email,picture',
     pages: 'id,name,access_token,category,tasks',
-    posts: 'id,message,created_time,full_picture,attachments{media},shares,likes.summary(true),comments.summary(true)',
+    posts: fields(
+      'id',
+      'message',
+      'created_time',
+      'full_picture',
+      field('attachments').fields('media'),
+      'shares',
+      field('likes').summary(true),
+      field('comments').summary(true)
+    ).toString(),
     leadForms: 'id,name,status,leads_count,created_time',
     leads: 'id,created_time,field_data'
   },
@@ -24,16 +85,38 @@ export const DEFAULT_CONFIG = {
 };
 
 /**
- * Global configuration object
+ * Creates an isolated configuration store
+ * @param {object} [initialConfig={}] - Overrides applied on top of DEFAULT_CONFIG
+ * @returns {{ setConfig: Function, getConfig: Function, resetConfig: Function }} Store accessors
  */
-let globalConfig = { ...DEFAULT_CONFIG };
+export function createConfigStore(initialConfig = {}) {
+  let config = { ...DEFAULT_CONFIG, ...initialConfig };
+
+  return {
+    setConfig(newConfig) {
+      config = { ...config, ...newConfig };
+    },
+    getConfig() {
+      return { ...config };
+    },
+    // Resets to defaults plus the overrides the store was created with
+    resetConfig() {
+      config = { ...DEFAULT_CONFIG, ...initialConfig };
+    }
+  };
+}
+
+/**
+ * Global configuration store (used by the top-level exports)
+ */
+const globalConfig = createConfigStore();
 
 /**
  * Updates global configuration
  * @param {object} newConfig - Configuration updates
  */
 export function setConfig(newConfig) {
-  globalConfig = { ...globalConfig, ...newConfig };
+  globalConfig.setConfig(newConfig);
 }
 
 /**
@@ -41,12 +124,12 @@ export function setConfig(newConfig) {
  * @returns {object} Current configuration
  */
 export function getConfig() {
-  return { ...globalConfig };
+  return globalConfig.getConfig();
 }
 
 /**
  * Resets configuration to defaults
  */
 export function resetConfig() {
-  globalConfig = { ...DEFAULT_CONFIG };
-}
\ No newline at end of file
+  globalConfig.resetConfig();
+}
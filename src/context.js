@@ -0,0 +1,72 @@
+// src/context.js
+import { getConfig, setConfig, resetConfig, createConfigStore } from './config.js';
+import {
+  resolveAccessToken,
+  setAccessToken,
+  clearAccessToken,
+  getCachedAccessToken,
+  getToken,
+  findToken,
+  createTokenCache,
+  setDefaultTokenRefreshListener,
+  setDefaultTokenStoreResolver
+} from './utils.js';
+import { emitEvent } from './events.js';
+
+/**
+ * A context holds the state every API call depends on: configuration and token cache
+ * (backed by config.tokenStore).
+ * Functions receive it through `options.client`; without one they use the default context,
+ * which is backed by the module-level setConfig/setAccessToken state.
+ */
+
+const defaultContext = {
+  getConfig,
+  setConfig,
+  resetConfig,
+  resolveAccessToken,
+  setAccessToken,
+  clearAccessToken,
+  getCachedAccessToken,
+  getToken,
+  findToken
+};
+
+setDefaultTokenRefreshListener((info) => emitEvent(defaultContext, 'token:refresh', info));
+setDefaultTokenStoreResolver(() => getConfig().tokenStore);
+
+/**
+ * Creates an isolated context with its own config and token cache
+ * @param {object} [initialConfig={}] - Config overrides on top of DEFAULT_CONFIG
+ * @returns {object} Context
+ */
+export function createContext(initialConfig = {}) {
+  const context = {
+    ...createConfigStore(initialConfig),
+    ...createTokenCache({
+      onRefresh: (info) => emitEvent(context, 'token:refresh', info),
+      getStore: () => context.getConfig().tokenStore
+    })
+  };
+  return context;
+}
+
+/**
+ * Gets the context backing the top-level exports
+ * @returns {object} Default context
+ */
+export function getDefaultContext() {
+  return defaultContext;
+}
+
+/**
+ * Picks the context for a call from its options
+ * @param {object} [options] - Function or Graph API options
+ * @returns {object} The `client` option when present, otherwise the default context
+ */
+export function resolveContext(options) {
+  if (options && typeof options === 'object' && options.client) {
+    return options.client;
+  }
+  return defaultContext;
+}
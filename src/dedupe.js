@@ -0,0 +1,44 @@
+// src/dedupe.js
+import { createInFlightRegistry } from './utils.js';
+import { buildCacheKey, cloneValue } from './cache.js';
+
+/**
+ * In-flight GET registries, one per client context
+ */
+const registries = new WeakMap();
+
+function getRegistry(client) {
+  if (!registries.has(client)) {
+    registries.set(client, createInFlightRegistry());
+  }
+  return registries.get(client);
+}
+
+/**
+ * Coalesces identical concurrent GET requests (same endpoint, version, params and token)
+ * into one network call. Every caller receives its own copy of the response.
+ * A caller aborting its signal only stops its own wait; the shared request is
+ * cancelled once every waiting caller has aborted.
+ * Disable with setConfig({ dedupe: false }) or per call with apiOptions.dedupe = false.
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @returns {Function} Middleware
+ */
+export function createDedupeMiddleware(client, config) {
+  return async (request, next) => {
+    if (config.dedupe === false || request.options.dedupe === false) {
+      return next();
+    }
+    if (String(request.method).toUpperCase() !== 'GET') {
+      return next();
+    }
+
+    const key = buildCacheKey(request, config);
+    const value = await getRegistry(client).run(
+      key,
+      (sharedSignal) => next({ ...request, options: { ...request.options, signal: sharedSignal } }),
+      { signal: request.options.signal }
+    );
+    return cloneValue(value);
+  };
+}
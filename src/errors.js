@@ -1,52 +1,268 @@
 // src/errors.js
+import { getRequiredPermissions, extractPermissions } from './permissionManifest.js';
 
 /**
- * Custom error classes for different types of Facebook API errors
+ * Custom error classes for different types of Facebook API errors.
+ *
+ * Errors built from a Graph API response carry Facebook's details: statusCode, fbError
+ * (the raw error), subcode, type, userTitle and userMessage (safe to show to users),
+ * fbtraceId and subcodeReason (from ERROR_SUBCODES). Every error also exposes isTransient,
+ * isRetryable and recommendedAction, so callers can react without parsing messages.
  */
 
-export class FacebookSDKError extends Error {
-  constructor(message, code = 'SDK_ERROR') {
+/**
+ * Actions recommended for an error:
+ * - relogin: the token is invalid or expired, log the user in again
+ * - request-permission: ask the user for the missing permissions
+ * - user-action: the user must fix their account on facebook.com first
+ * - wait: rate limited or temporarily blocked, retry later
+ * - retry: temporary failure, retrying may succeed
+ * - fix-request: the request itself is wrong (parameters, setup)
+ * - none: nothing to do (e.g. the caller cancelled)
+ */
+export const ERROR_ACTIONS = [
+  'relogin',
+  'request-permission',
+  'user-action',
+  'wait',
+  'retry',
+  'fix-request',
+  'none'
+];
+
+/**
+ * Known Facebook error subcodes
+ */
+export const ERROR_SUBCODES = {
+  458: { reason: 'APP_NOT_INSTALLED', action: 'relogin', description: 'The user has not authorized the app' },
+  459: { reason: 'USER_CHECKPOINTED', action: 'user-action', description: 'The user must log in to facebook.com to restore access' },
+  460: { reason: 'PASSWORD_CHANGED', action: 'relogin', description: 'The user changed their password' },
+  463: { reason: 'SESSION_EXPIRED', action: 'relogin', description: 'The access token has expired' },
+  464: { reason: 'USER_UNCONFIRMED', action: 'user-action', description: 'The user must confirm their account on facebook.com' },
+  467: { reason: 'TOKEN_INVALIDATED', action: 'relogin', description: 'The access token is invalid (logged out or revoked)' },
+  492: { reason: 'INVALID_SESSION', action: 'relogin', description: 'The user no longer has a role on the page' }
+};
+
+/**
+ * Facebook error codes that are worth retrying: unknown (1), service (2),
+ * rate limits (4, 17, 32, 613) and temporarily unavailable (341)
+ */
+export const TRANSIENT_ERROR_CODES = [1, 2, 4, 17, 32, 341, 613];
+
+/**
+ * Codes of temporary failures that are not rate limits
+ */
+const TEMPORARY_ERROR_CODES = [1, 2, 341];
+
+/**
+ * Rate limit codes, including Business Use Case limits (80000-80014)
+ */
+const RATE_LIMIT_CODES = [4, 17, 32, 613, ...Array.from({ length: 15 }, (_, index) => 80000 + index)];
+
+/**
+ * Temporarily blocked for policy reasons
+ */
+const BLOCKED_CODE = 368;
+
+/**
+ * Base class of every error thrown by this package
+ */
+export class FacebookError extends Error {
+  constructor(message, code = 'FACEBOOK_ERROR') {
     super(message);
-    this.name = 'FacebookSDKError';
+    this.name = 'FacebookError';
     this.code = code;
+    applyFacebookDetails(this, null, null);
+  }
+
+  /**
+   * Whether the failure is temporary (Facebook's is_transient flag, a temporary error code,
+   * a timeout, a network or server error)
+   * @returns {boolean}
+   */
+  get isTransient() {
+    return isTemporaryError(this);
+  }
+
+  /**
+   * Whether sending the same request again can succeed (temporary failures and rate limits)
+   * @returns {boolean}
+   */
+  get isRetryable() {
+    return isRetryableError(this);
+  }
+
+  /**
+   * What the caller should do next, one of ERROR_ACTIONS
+   * @returns {string}
+   */
+  get recommendedAction() {
+    return getRecommendedAction(this);
+  }
+}
+
+export class FacebookSDKError extends FacebookError {
+  constructor(message, code = 'SDK_ERROR') {
+    super(message, code);
+    this.name = 'FacebookSDKError';
   }
 }
 
-export class FacebookAuthError extends Error {
+export class FacebookAuthError extends FacebookError {
   constructor(message, code = 'AUTH_ERROR') {
-    super(message);
+    super(message, code);
     this.name = 'FacebookAuthError';
-    this.code = code;
   }
 }
 
-export class FacebookAPIError extends Error {
+export class FacebookAPIError extends FacebookError {
   constructor(message, code = 'API_ERROR', statusCode = null, fbError = null) {
-    super(message);
+    super(message, code);
     this.name = 'FacebookAPIError';
-    this.code = code;
-    this.statusCode = statusCode;
-    this.fbError = fbError;
+    applyFacebookDetails(this, fbError, statusCode);
   }
 }
 
-export class FacebookPermissionError extends Error {
+export class FacebookPermissionError extends FacebookError {
   constructor(message, missingPermissions = [], code = 'PERMISSION_ERROR') {
-    super(message);
+    super(message, code);
     this.name = 'FacebookPermissionError';
-    this.code = code;
     this.missingPermissions = missingPermissions;
+    // Permissions the failed function needs (see PERMISSION_MANIFEST)
+    this.requiredPermissions = [];
   }
 }
 
-export class FacebookTimeoutError extends Error {
+export class FacebookTimeoutError extends FacebookError {
   constructor(message, code = 'TIMEOUT_ERROR') {
-    super(message);
+    super(message, code);
     this.name = 'FacebookTimeoutError';
-    this.code = code;
   }
 }
 
+export class FacebookAbortError extends FacebookError {
+  constructor(message, code = 'REQUEST_ABORTED') {
+    super(message, code);
+    this.name = 'FacebookAbortError';
+  }
+}
+
+/**
+ * Copies the details of a Graph API error onto an error instance
+ * @param {Error} error - Error to complete
+ * @param {object|null} fbError - Facebook error object
+ * @param {number|null} statusCode - HTTP status code
+ * @returns {Error} The same error
+ */
+function applyFacebookDetails(error, fbError, statusCode) {
+  const details = fbError || {};
+  const subcode = details.error_subcode != null ? Number(details.error_subcode) : null;
+
+  error.statusCode = statusCode;
+  error.fbError = fbError;
+  error.subcode = subcode;
+  error.type = details.type || null;
+  error.userTitle = details.error_user_title || null;
+  error.userMessage = details.error_user_msg || null;
+  error.fbtraceId = details.fbtrace_id || null;
+  error.subcodeReason = subcode && ERROR_SUBCODES[subcode] ? ERROR_SUBCODES[subcode].reason : null;
+  return error;
+}
+
+/**
+ * Facebook error code of an error, if any
+ * @param {Error} error - Error
+ * @returns {number|null} Code
+ */
+function facebookCode(error) {
+  return error && error.fbError && error.fbError.code != null ? Number(error.fbError.code) : null;
+}
+
+/**
+ * Whether a call on a `me` edge failed because the token is not a user token
+ * (Facebook answers page tokens with error 100)
+ * @param {Error} error - Error
+ * @returns {boolean} True for page (and other non-user) tokens
+ */
+export function isNotUserTokenError(error) {
+  return facebookCode(error) === 100;
+}
+
+/**
+ * Whether an error is a Facebook rate limit (or HTTP 429)
+ * @param {Error} error - Error
+ * @returns {boolean} True for rate limit errors
+ */
+export function isRateLimitError(error) {
+  const code = facebookCode(error);
+  return RATE_LIMIT_CODES.includes(code) ||
+    Boolean(error && error.statusCode === 429);
+}
+
+/**
+ * Whether the caller's input or the user's state must change before a retry can help
+ * @param {Error} error - Error
+ * @returns {boolean} True for cancellations, auth and permission errors
+ */
+function isFinalError(error) {
+  return !error ||
+    error instanceof FacebookAbortError ||
+    error instanceof FacebookAuthError ||
+    error instanceof FacebookPermissionError;
+}
+
+/**
+ * Whether a failure is temporary: Facebook's is_transient flag, unknown/service/unavailable
+ * codes, timeouts, network failures and server errors
+ * @param {Error} error - Error
+ * @returns {boolean} True for temporary failures
+ */
+export function isTemporaryError(error) {
+  if (isFinalError(error)) return false;
+  if (error instanceof FacebookTimeoutError || error.code === 'NETWORK_ERROR') return true;
+  if (error instanceof TypeError && /fetch|network/i.test(error.message)) return true;
+
+  const { fbError } = error;
+  if (fbError && (fbError.is_transient || TEMPORARY_ERROR_CODES.includes(Number(fbError.code)))) {
+    return true;
+  }
+  return error.statusCode >= 500;
+}
+
+/**
+ * Whether sending the same request again can succeed: temporary failures, transient
+ * codes and rate limits
+ * @param {Error} error - Error
+ * @returns {boolean} True when retrying may succeed
+ */
+export function isRetryableError(error) {
+  if (isFinalError(error)) return false;
+  return isTemporaryError(error) ||
+    TRANSIENT_ERROR_CODES.includes(facebookCode(error)) ||
+    isRateLimitError(error);
+}
+
+/**
+ * Recommends what to do about an error
+ * @param {Error} error - Error
+ * @returns {string} One of ERROR_ACTIONS
+ */
+export function getRecommendedAction(error) {
+  if (!error || error instanceof FacebookAbortError) return 'none';
+
+  const subcode = error.subcode != null ? error.subcode : null;
+  if (subcode && ERROR_SUBCODES[subcode]) return ERROR_SUBCODES[subcode].action;
+
+  if (error instanceof FacebookAuthError) return 'relogin';
+  if (error instanceof FacebookPermissionError) {
+    return error.code === 'NOT_LOGGED_IN' ? 'relogin' : 'request-permission';
+  }
+  if (error.code === 'NO_TOKEN') return 'relogin';
+  if (isRateLimitError(error) || facebookCode(error) === BLOCKED_CODE) return 'wait';
+  if (isRetryableError(error)) return 'retry';
+  return 'fix-request';
+}
+
 /**
  * Maps Facebook Graph API error codes to our custom error types
  */
@@ -55,9 +271,14 @@ const ERROR_CODE_MAP = {
   2: 'API_SERVICE',
   4: 'API_TOO_MANY_CALLS',
   10: 'PERMISSION_DENIED',
+  17: 'API_TOO_MANY_CALLS',
+  32: 'API_TOO_MANY_CALLS',
   100: 'API_PARAMETER',
   190: 'AUTH_TOKEN_INVALID',
   200: 'PERMISSION_DENIED',
+  341: 'API_SERVICE',
+  368: 'API_BLOCKED',
+  506: 'API_DUPLICATE_POST',
   613: 'API_TOO_MANY_CALLS'
 };
 
@@ -65,40 +286,65 @@ const ERROR_CODE_MAP = {
  * Creates appropriate error instance based on Facebook API response
  * @param {object} fbError - Facebook error object
  * @param {number} statusCode - HTTP status code
- * @returns {Error} Appropriate error instance
+ * @returns {Error} Appropriate error instance, with Facebook's details (subcode, userMessage...)
  */
 export function createFacebookError(fbError, statusCode = null) {
   if (!fbError) {
     return new FacebookAPIError('Unknown Facebook API error', 'API_UNKNOWN', statusCode);
   }
 
-  const { message, code, error_subcode, type } = fbError;
-  const mappedCode = ERROR_CODE_MAP[code] || 'API_ERROR';
+  const { message, code } = fbError;
+  const numericCode = Number(code);
+  const mappedCode = ERROR_CODE_MAP[numericCode] || 'API_ERROR';
 
   // Handle specific error types
-  switch (code) {
+  switch (numericCode) {
     case 190: // Invalid token
     case 102: // Session key invalid
     case 459: // User session invalid
-      return new FacebookAuthError(message, 'AUTH_TOKEN_INVALID');
-    
-    case 10: // Permission denied
-    case 200: // Requires extended permission
-      return new FacebookPermissionError(message, [], 'PERMISSION_DENIED');
-    
+      return applyFacebookDetails(new FacebookAuthError(message, 'AUTH_TOKEN_INVALID'), fbError, statusCode);
+
     case 4: // Rate limiting
+    case 17: // User rate limiting
+    case 32: // Page rate limiting
     case 613: // Rate limiting
       return new FacebookAPIError(message, 'API_RATE_LIMIT', statusCode, fbError);
-    
-    case 1: // Unknown error
-    case 2: // Service error
-      return new FacebookAPIError(message, mappedCode, statusCode, fbError);
-    
+
     default:
+      // Business Use Case rate limits (80000-80014)
+      if (RATE_LIMIT_CODES.includes(numericCode)) {
+        return new FacebookAPIError(message, 'API_RATE_LIMIT', statusCode, fbError);
+      }
+      // Permission denied (10) and extended permissions (200-299)
+      if (numericCode === 10 || (numericCode >= 200 && numericCode <= 299)) {
+        return applyFacebookDetails(
+          new FacebookPermissionError(message, [], 'PERMISSION_DENIED'),
+          fbError,
+          statusCode
+        );
+      }
       return new FacebookAPIError(message, mappedCode, statusCode, fbError);
   }
 }
 
+/**
+ * Fills the permissions of a permission error from the failed function's manifest entry.
+ * `missingPermissions` prefers the permissions Facebook names in its message and falls
+ * back to everything the function needs; wrapping functions keep the innermost values.
+ * @param {FacebookPermissionError} error - Permission error
+ * @param {string} context - Function where the error occurred
+ */
+function fillPermissions(error, context) {
+  const required = getRequiredPermissions(context);
+  if (required.length > 0 && error.requiredPermissions.length === 0) {
+    error.requiredPermissions = required;
+  }
+  if (error.code === 'PERMISSION_DENIED' && error.missingPermissions.length === 0) {
+    const named = extractPermissions(error.fbError && error.fbError.message);
+    error.missingPermissions = named.length > 0 ? named : required;
+  }
+}
+
 /**
  * Global error handler for consistent error processing
  * @param {Error} error - Original error
@@ -108,11 +354,10 @@ export function createFacebookError(fbError, statusCode = null) {
  */
 export function handleError(error, context, metadata = {}) {
   // If it's already a Facebook error, just add context
-  if (error instanceof FacebookSDKError || 
-      error instanceof FacebookAuthError || 
-      error instanceof FacebookAPIError || 
-      error instanceof FacebookPermissionError ||
-      error instanceof FacebookTimeoutError) {
+  if (error instanceof FacebookError) {
+    if (error instanceof FacebookPermissionError) {
+      fillPermissions(error, context);
+    }
     error.context = context;
     error.metadata = metadata;
     return error;
@@ -152,11 +397,30 @@ export function handleError(error, context, metadata = {}) {
 }
 
 /**
- * Logs errors in development mode
+ * Logs errors through the configured logger, or to the console in development mode
  * @param {Error} error - Error to log
+ * @param {object} [logger] - Logger with an error(message, data) method (see config.logger)
  */
-export function logError(error) {
-  if (process.env.NODE_ENV === 'development') {
+export function logError(error, logger) {
+  if (logger && typeof logger.error === 'function') {
+    logger.error(`Facebook API Error: ${error.name}`, {
+      name: error.name,
+      message: error.message,
+      code: error.code,
+      subcode: error.subcode,
+      fbtraceId: error.fbtraceId,
+      recommendedAction: error.recommendedAction,
+      context: error.context,
+      metadata: error.metadata,
+      fbError: error.fbError,
+      error
+    });
+    return;
+  }
+
+  // process is undefined in browsers
+  const env = typeof process !== 'undefined' && process.env ? process.env.NODE_ENV : undefined;
+  if (env === 'development') {
     console.group(`🔴 Facebook API Error: ${error.name}`);
     console.error('Message:', error.message);
     console.error('Code:', error.code);
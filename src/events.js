@@ -0,0 +1,128 @@
+// src/events.js
+import { resolveContext } from './context.js';
+
+/**
+ * Lifecycle events, per client context:
+ * - request:start   { requestId, endpoint, method, attempt }
+ * - request:retry   { requestId, endpoint, method, attempt, status, fbtraceId, error, delay, duration }
+ * - request:success { requestId, endpoint, method, attempt, status, fbtraceId, duration }
+ * - request:error   { requestId, endpoint, method, attempt, status, fbtraceId, error, duration }
+ * - token:refresh   { source: 'sdk'|'exchange'|'callback'|'page'|'oauth', name, expiresIn, duration }
+ * - token:expiring  { name, expiresAt, expiresIn }
+ * - version:warning { type: 'deprecation'|'expired'|'mismatch', version, message, ... }
+ * Every payload also has `event` and `timestamp` (ms). `duration` counts from the first
+ * attempt, so start/success/error of one requestId map directly onto a tracing span.
+ *
+ * Events are also written to the configured `logger` (any object with debug/info/warn/error
+ * methods, e.g. console, pino or winston). Failed requests are logged by logError.
+ */
+
+const LOG_LEVELS = {
+  'request:start': 'debug',
+  'request:retry': 'warn',
+  'request:success': 'debug',
+  'token:refresh': 'info',
+  'token:expiring': 'info',
+  'version:warning': 'warn'
+};
+
+/**
+ * Listeners per client context: Map of event name (or '*') to Set of listeners
+ */
+const listenersByClient = new WeakMap();
+
+let requestCount = 0;
+
+function getListeners(client) {
+  if (!listenersByClient.has(client)) {
+    listenersByClient.set(client, new Map());
+  }
+  return listenersByClient.get(client);
+}
+
+/**
+ * Creates an ID correlating the events of one request
+ * @returns {string} Request ID
+ */
+export function createRequestId() {
+  requestCount += 1;
+  return `req_${Date.now().toString(36)}_${requestCount.toString(36)}`;
+}
+
+/**
+ * Writes to a logger method if the logger has it
+ * @param {object} [logger] - Logger ({ debug, info, warn, error })
+ * @param {string} level - Method name
+ * @param {string} message - Message
+ * @param {object} [data] - Structured data
+ */
+export function writeLog(logger, level, message, data) {
+  if (logger && typeof logger[level] === 'function') {
+    logger[level](message, data);
+  }
+}
+
+/**
+ * Subscribes to lifecycle events
+ * @param {string} event - Event name, or '*' for every event
+ * @param {Function} listener - Called with the event payload
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {Function} Unsubscribes the listener
+ */
+export function on(event, listener, options = {}) {
+  if (typeof event !== 'string' || event.length === 0) {
+    throw new TypeError('event must be a non-empty string');
+  }
+  if (typeof listener !== 'function') {
+    throw new TypeError('listener must be a function');
+  }
+
+  const listeners = getListeners(resolveContext(options));
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+  listeners.get(event).add(listener);
+
+  return () => off(event, listener, options);
+}
+
+/**
+ * Removes a listener added with on()
+ * @param {string} event - Event name, or '*'
+ * @param {Function} listener - Listener to remove
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ */
+export function off(event, listener, options = {}) {
+  const listeners = getListeners(resolveContext(options));
+  if (listeners.has(event)) {
+    listeners.get(event).delete(listener);
+  }
+}
+
+/**
+ * Emits an event to the listeners and logger of a client context.
+ * Listener errors are logged and never affect the request.
+ * @param {object} client - Client context
+ * @param {string} event - Event name
+ * @param {object} [payload={}] - Event data
+ */
+export function emitEvent(client, event, payload = {}) {
+  const { logger } = client.getConfig();
+  const data = { event, timestamp: Date.now(), ...payload };
+
+  if (LOG_LEVELS[event]) {
+    writeLog(logger, LOG_LEVELS[event], `Facebook ${event}`, data);
+  }
+
+  const listeners = getListeners(client);
+  const targets = [...(listeners.get(event) || []), ...(listeners.get('*') || [])];
+  targets.forEach((listener) => {
+    try {
+      listener(data);
+    } catch (error) {
+      writeLog(logger, 'warn', `Facebook ${event} listener failed`, { error });
+    }
+  });
+}
@@ -0,0 +1,185 @@
+// src/fields.js
+
+/**
+ * Composable field selections serialized to Graph API syntax, e.g.
+ *
+ *   fields('id', 'message', field('comments').limit(10).summary(true).fields('id', 'from'))
+ *   // => 'id,message,comments.limit(10).summary(true){id,from}'
+ *
+ * Builders are immutable: every method returns a new builder, so a shared selection can be
+ * extended without affecting other callers. Anywhere `options.fields` is accepted, a builder,
+ * a plain string or an array of either can be passed.
+ */
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Builders created by field() and fields()
+ */
+const builders = new WeakSet();
+
+function assertName(value, name) {
+  if (typeof value !== 'string' || !FIELD_NAME.test(value)) {
+    throw new TypeError(`${name} must be a Graph API field name (letters, digits and underscores)`);
+  }
+}
+
+/**
+ * Formats a since/until value: Dates become Unix timestamps, strings and numbers pass through
+ * @param {Date|number|string} value - Time value
+ * @returns {string|number} Graph API time value
+ */
+function formatTime(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError('Invalid Date');
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (typeof value === 'number' || (typeof value === 'string' && value.length > 0)) {
+    return value;
+  }
+  throw new TypeError('Time must be a Date, a Unix timestamp or a date string');
+}
+
+/**
+ * Whether a value is a field builder
+ * @param {any} value - Value to check
+ * @returns {boolean} True for builders created by field() or fields()
+ */
+export function isFieldBuilder(value) {
+  return typeof value === 'object' && value !== null && builders.has(value);
+}
+
+/**
+ * Serializes a fields option to Graph API syntax
+ * @param {string|object|Array} value - Plain string, builder, or array of either
+ * @returns {string|undefined} Field string (undefined/null are returned as-is)
+ */
+export function formatFields(value) {
+  if (value == null || typeof value === 'string') {
+    return value;
+  }
+  if (isFieldBuilder(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => formatFields(item)).filter(Boolean).join(',');
+  }
+  throw new TypeError('fields must be a string, an array or a fields builder');
+}
+
+/**
+ * Creates one field, optionally with modifiers and nested fields
+ * @param {string} name - Field or edge name
+ * @returns {object} Field builder with fields, limit, summary, since, until, as, modifier and toString
+ */
+export function field(name) {
+  assertName(name, 'field name');
+  return createField({ name, modifiers: [], children: [] });
+}
+
+function createField(state) {
+  const withModifier = (modifier, value) => createField({
+    ...state,
+    modifiers: [...state.modifiers.filter(([key]) => key !== modifier), [modifier, value]]
+  });
+
+  const builder = {
+    /**
+     * Selects nested fields of this edge
+     * @param {...(string|object|Array)} items - Field names, strings or builders
+     * @returns {object} New field builder
+     */
+    fields(...items) {
+      return createField({ ...state, children: [...state.children, ...items] });
+    },
+
+    /**
+     * @param {number} count - Items to return (0 is useful together with summary)
+     * @returns {object} New field builder
+     */
+    limit(count) {
+      if (!Number.isInteger(count) || count < 0) {
+        throw new TypeError('limit must be a non-negative integer');
+      }
+      return withModifier('limit', count);
+    },
+
+    /**
+     * @param {boolean|string} [value=true] - true, or a summary field such as 'total_count'
+     * @returns {object} New field builder
+     */
+    summary(value = true) {
+      return withModifier('summary', value);
+    },
+
+    since(value) {
+      return withModifier('since', formatTime(value));
+    },
+
+    until(value) {
+      return withModifier('until', formatTime(value));
+    },
+
+    /**
+     * Returns the field under another key, so one edge can be requested twice
+     * @param {string} alias - Key in the response
+     * @returns {object} New field builder
+     */
+    as(alias) {
+      assertName(alias, 'alias');
+      return withModifier('as', alias);
+    },
+
+    /**
+     * Adds any other modifier, e.g. modifier('type', 'large') for picture.type(large)
+     * @param {string} modifier - Modifier name
+     * @param {string|number|boolean} value - Modifier value
+     * @returns {object} New field builder
+     */
+    modifier(modifier, value) {
+      assertName(modifier, 'modifier');
+      return withModifier(modifier, value);
+    },
+
+    toString() {
+      const modifiers = state.modifiers.map(([key, value]) => `.${key}(${value})`).join('');
+      const children = formatFields(state.children);
+      return `${state.name}${modifiers}${children ? `{${children}}` : ''}`;
+    },
+
+    toJSON() {
+      return builder.toString();
+    }
+  };
+
+  builders.add(builder);
+  return builder;
+}
+
+/**
+ * Creates a field selection
+ * @param {...(string|object|Array)} items - Field names, strings or builders
+ * @returns {object} Selection builder with add and toString
+ */
+export function fields(...items) {
+  const builder = {
+    /**
+     * @param {...(string|object|Array)} more - Fields to add
+     * @returns {object} New selection builder
+     */
+    add(...more) {
+      return fields(...items, ...more);
+    },
+
+    toString() {
+      return formatFields(items);
+    },
+
+    toJSON() {
+      return builder.toString();
+    }
+  };
+
+  builders.add(builder);
+  return builder;
+}
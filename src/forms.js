@@ -1,15 +1,19 @@
 // src/forms.js
 import { graphAPI } from './graph.js';
-import { getConfig } from './config.js';
-import { handleError } from './errors.js';
-import { resolveAccessToken, assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { resolvePageAccessToken, paginateWithPageToken } from './pageTokens.js';
+import { resolveContext } from './context.js';
+import { preflightPermissions } from './permissions.js';
+import { mapWithQueue } from './queue.js';
+import { handleError, FacebookAbortError } from './errors.js';
+import { assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { formatFields } from './fields.js';
 
 /**
  * Fetches lead generation forms for a Facebook Page with enhanced options
  * @param {string} pageId - Facebook Page ID
- * @param {string} accessToken - Page access token
+ * @param {string} accessToken - Page access token, or a user token managing the page
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of forms to fetch
  * @param {string} [options.status] - Filter by form status ('ACTIVE', 'ARCHIVED', 'DRAFT')
 
@@ -18,7 +22,9 @@ import { resolveAccessToken, assertString, assertPositiveInteger, assertObject }
 export async function getLeadForms(pageId, accessToken, options = {}) {
   try {
     assertString(pageId, 'pageId');
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions('getLeadForms', accessToken, options);
     const {
       fields = config.defaultFields.leadForms,
       limit,
@@ -33,16 +39,16 @@ export async function getLeadForms(pageId, accessToken, options = {}) {
 
 
     // Build query parameters
-    const params = { fields };
+    const params = { fields: formatFields(fields) };
     if (limit) params.limit = limit;
     if (status) params.status = status;
 
     return await graphAPI(
       `${pageId}/leadgen_forms`,
-      await resolveAccessToken(accessToken),
+      await resolvePageAccessToken(pageId, accessToken, options),
       'GET',
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -56,6 +62,33 @@ export async function getLeadForms(pageId, accessToken, options = {}) {
   }
 }
 
+/**
+ * Iterates over all lead generation forms of a Facebook Page, following pagination
+ * @param {string} pageId - Facebook Page ID
+ * @param {string} accessToken - Page access token
+ * @param {object} [options={}] - Query options (fields, limit per page, status) and
+ *   pagination options (maxItems, maxPages, maxDuration)
+ * @returns {AsyncGenerator<object>} Lead forms
+ */
+export function iterateLeadForms(pageId, accessToken, options = {}) {
+  assertString(pageId, 'pageId');
+  assertObject(options, 'options');
+  const config = resolveContext(options).getConfig();
+
+  const {
+    fields = config.defaultFields.leadForms,
+    limit,
+    status,
+    ...paginationOptions
+  } = options;
+
+  const params = { fields: formatFields(fields) };
+  if (limit) params.limit = limit;
+  if (status) params.status = status;
+
+  return paginateWithPageToken(pageId, `${pageId}/leadgen_forms`, accessToken, params, paginationOptions);
+}
+
 /**
  * Fetches detailed information about a specific lead form
  * @param {string} formId - Lead generation form ID
@@ -65,6 +98,8 @@ export async function getLeadForms(pageId, accessToken, options = {}) {
  */
 export async function getLeadFormDetails(formId, accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
+    await preflightPermissions('getLeadFormDetails', accessToken, options);
     const {
       fields = 'id,name,status,leads_count,created_time,questions,privacy_policy_url,follow_up_action_url,expired_leads_count,page',
 
@@ -78,10 +113,10 @@ export async function getLeadFormDetails(formId, accessToken, options = {}) {
 
     return await graphAPI(
       formId,
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       'GET',
-      { fields },
-      apiOptions
+      { fields: formatFields(fields) },
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -114,6 +149,10 @@ export async function getActiveLeadForms(pageId, accessToken, options = {}) {
  * @param {Array} pageIds - Array of Facebook Page IDs
  * @param {string} accessToken - Access token
  * @param {object} [options={}] - Query options
+ * @param {number} [options.concurrency] - Max pages fetched at once (defaults to the shared queue)
+ * @param {string|number} [options.priority='normal'] - Queue priority
+ * @param {Function} [options.onProgress] - Called with { completed, failed, total, item } after each page
+ * @param {AbortSignal} [options.signal] - Cancels the remaining pages (rejects instead of reporting per-page errors)
  * @returns {Promise<object>} Object with pageId as keys and forms as values
  */
 export async function getLeadFormsFromMultiplePages(pageIds, accessToken, options = {}) {
@@ -122,22 +161,22 @@ export async function getLeadFormsFromMultiplePages(pageIds, accessToken, option
       throw new Error('pageIds must be a non-empty array');
     }
 
+    const { concurrency, priority, onProgress, ...otherOptions } = options;
     const results = {};
 
-    // Process pages concurrently
-    const promises = pageIds.map(async (pageId) => {
+    // Process pages concurrently through the task queue
+    const responses = await mapWithQueue(pageIds, async (pageId) => {
       try {
         const forms = await getLeadForms(pageId, accessToken, {
-          ...options,
+          ...otherOptions,
 
         });
         return { pageId, forms, success: true };
       } catch (error) {
+        if (error instanceof FacebookAbortError) throw error;
         return { pageId, error: error.message, success: false };
       }
-    });
-
-    const responses = await Promise.all(promises);
+    }, { client: otherOptions.client, concurrency, priority, accessToken, onProgress, signal: otherOptions.signal });
     
     responses.forEach(({ pageId, forms, error, success }) => {
       results[pageId] = success ? forms : { error };
@@ -165,6 +204,8 @@ export async function getLeadFormsFromMultiplePages(pageIds, accessToken, option
  */
 export async function getLeadFormStats(formId, accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
+    await preflightPermissions('getLeadFormStats', accessToken, options);
     const {
       fields = 'leads_count,expired_leads_count,created_time,status',
 
@@ -175,10 +216,10 @@ export async function getLeadFormStats(formId, accessToken, options = {}) {
 
     return await graphAPI(
       formId,
-      accessToken,
+      await client.resolveAccessToken(accessToken),
       'GET',
-      { fields },
-      apiOptions
+      { fields: formatFields(fields) },
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
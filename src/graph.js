@@ -1,24 +1,55 @@
 // src/graph.js
-import { getConfig } from './config.js';
-import { createFacebookError, handleError, logError, FacebookTimeoutError } from './errors.js';
+import { resolveContext } from './context.js';
+import {
+  createFacebookError,
+  handleError,
+  logError,
+  FacebookTimeoutError,
+  FacebookAbortError
+} from './errors.js';
+import { resolveFetch, buildGraphUrl, isMultipart, buildFormData } from './transport.js';
+import { runMiddleware } from './middleware.js';
+import { createCacheMiddleware } from './cache.js';
+import { createDedupeMiddleware } from './dedupe.js';
+import { waitForCapacity, recordUsage, getUsageState } from './rateLimit.js';
+import {
+  getRetrySettings,
+  shouldRetryRequest,
+  computeRetryDelay,
+  parseRetryAfter
+} from './retry.js';
+import { getAppSecretParams } from './secretProof.js';
+import { createRequestId, emitEvent } from './events.js';
+import { resolveVersion, checkVersionSunset, checkEffectiveVersion } from './versions.js';
+import { watchTokenExpiry, recoverToken } from './tokenManager.js';
+import { sleep, createAbortError, throwIfAborted } from './utils.js';
 
 /**
- * Sleep utility for retry delays
- * @param {number} ms - Milliseconds to sleep
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Enhanced Facebook Graph API client with retry logic and better error handling
+ * Enhanced Facebook Graph API client with retry logic and better error handling.
+ * Requests pass through the configured middleware chain, the response cache and
+ * in-flight GET deduplication before being sent.
  * @param {string} endpoint - API endpoint (without version prefix)
  * @param {string} accessToken - Facebook access token
  * @param {string} [method='GET'] - HTTP method
- * @param {object} [params={}] - Query parameters or request body
+ * @param {object|FormData} [params={}] - Query parameters or request body (binary values or a
+ *   FormData are sent as multipart/form-data)
  * @param {object} [options={}] - Additional options
- * @param {string} [options.version] - API version override
+ * @param {string} [options.version] - API version override (wins over config.versions pins)
  * @param {number} [options.timeout] - Request timeout override
  * @param {number} [options.retryAttempts] - Retry attempts override
  * @param {number} [options.retryDelay] - Retry delay override
+ * @param {object} [options.retry] - Retry policy override: { jitter, maxDelay, shouldRetry(error, attempt) }
+ * @param {string} [options.baseUrl] - Graph host override (e.g. a local stand-in server)
+ * @param {Function} [options.fetch] - Custom fetch implementation
+ * @param {object} [options.headers] - Extra headers merged over config headers
+ * @param {false|number|object} [options.cache] - Per-call cache control: false, TTL in ms, or { ttl, refresh }
+ * @param {boolean} [options.dedupe=true] - Share the response of an identical GET already in flight
+ * @param {AbortSignal} [options.signal] - Cancels the request, retry sleeps and throttling waits
+ *   (rejects with FacebookAbortError, never retried)
+ * @param {boolean} [options.tokenRecovery=true] - Refresh an invalid stored token and replay once
+ * @param {Function} [options.expectedError] - (error) => boolean. Failures it accepts are thrown
+ *   without being logged or emitted as request:error (e.g. probing whether a token is a user token)
+ * @param {object} [options.client] - Client context (defaults to the global config)
  * @returns {Promise<object>} Facebook API response
  */
 export async function graphAPI(
@@ -28,168 +59,430 @@ export async function graphAPI(
   params = {},
   options = {}
 ) {
-  const config = getConfig();
+  const client = resolveContext(options);
+  const config = client.getConfig();
+
+  const middleware = [
+    ...(config.middleware || []),
+    createCacheMiddleware(client, config),
+    createDedupeMiddleware(client, config)
+  ];
+
+  const send = (token) => runMiddleware(
+    middleware,
+    {
+      endpoint,
+      accessToken: token,
+      method,
+      params,
+      headers: { ...config.headers, ...options.headers },
+      options
+    },
+    (req) => sendRequest(req, config, client)
+  );
+
+  watchTokenExpiry(client, config, accessToken);
+  try {
+    return await send(accessToken);
+  } catch (error) {
+    // Invalid stored tokens are refreshed and the request replayed once
+    const token = await recoverToken(client, config, accessToken, error, options);
+    if (!token) throw error;
+    return send(token);
+  }
+}
+
+/**
+ * Sends a Graph API request with retries (innermost handler of the middleware chain)
+ * and emits its request:success or request:error event
+ * @param {object} request - Request built by graphAPI, possibly rewritten by middleware
+ * @param {object} config - Resolved configuration
+ * @param {object} client - Client context
+ * @returns {Promise<object>} Facebook API response
+ */
+async function sendRequest(request, config, client) {
+  const trace = {
+    requestId: createRequestId(),
+    endpoint: request.endpoint,
+    method: request.method,
+    attempt: 0,
+    status: null,
+    fbtraceId: null,
+    startedAt: Date.now()
+  };
+  const details = () => {
+    const { startedAt, ...rest } = trace;
+    return { ...rest, duration: Date.now() - startedAt };
+  };
+
+  try {
+    const data = await sendWithRetries(request, config, client, trace, details);
+    emitEvent(client, 'request:success', details());
+    return data;
+  } catch (error) {
+    if (!isExpectedError(error, request.options)) {
+      emitEvent(client, 'request:error', { ...details(), error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Retry loop of sendRequest
+ * @param {object} request - Request built by graphAPI
+ * @param {object} config - Resolved configuration
+ * @param {object} client - Client context
+ * @param {object} trace - Request trace, updated with attempt, status and fbtraceId
+ * @param {Function} details - Returns the trace as event data
+ * @returns {Promise<object>} Facebook API response
+ */
+async function sendWithRetries(request, config, client, trace, details) {
+  const { endpoint, accessToken, method, params, headers, options } = request;
+  const version = resolveVersion(endpoint, options, config);
   const {
-    version = config.version,
     timeout = config.timeout,
     retryAttempts = config.retryAttempts,
-    retryDelay = config.retryDelay
+    retryDelay = config.retryDelay,
+    baseUrl = config.baseUrl,
+    fetch: fetchImpl = config.fetch,
+    signal
   } = options;
 
-  const url = new URL(`https://graph.facebook.com/${version}/${endpoint}`);
+  throwIfAborted(signal);
+  checkVersionSunset(client, config, version);
+
+  const fetchFn = resolveFetch(fetchImpl);
+  const url = buildGraphUrl(baseUrl, version, endpoint);
   const isGet = method.toUpperCase() === 'GET';
+
+  // appsecret_proof/appsecret_time when an appSecret is configured (server only)
+  const secretParams = await getAppSecretParams(accessToken, config);
+  const query = { ...params, ...secretParams };
   
   // For GET requests, add params to URL
-  if (isGet && params && Object.keys(params).length > 0) {
+  if (isGet && Object.keys(query).length > 0) {
     url.search = new URLSearchParams({
       access_token: accessToken,
-      ...params,
+      ...query,
     }).toString();
   }
 
+  // Binary params (Blob, File, Buffer, streams) or a FormData are sent as multipart/form-data;
+  // fetch sets the Content-Type with its boundary
+  const multipart = !isGet && isMultipart(params);
+
   const requestOptions = {
     method,
     headers: {
+      ...headers,
       ...(isGet
         ? {}
         : {
-            'Content-Type': 'application/json',
+            ...(multipart ? {} : { 'Content-Type': 'application/json' }),
             'Authorization': `Bearer ${accessToken}`,
           }),
     },
-    ...(isGet ? {} : { body: JSON.stringify(params) }),
+    ...(isGet ? {} : { body: multipart ? await buildFormData(params, secretParams) : JSON.stringify(query) }),
   };
 
-  // Add timeout using AbortController
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  requestOptions.signal = controller.signal;
-
+  const retrySettings = getRetrySettings(config, options);
   let lastError;
-  
-  // Retry logic
-  for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+
+  for (let attempt = 1; attempt <= retryAttempts + 1; attempt++) {
+    Object.assign(trace, { attempt, status: null, fbtraceId: null });
+
+    // Wait while Facebook reports high usage (before the timeout starts counting)
+    await waitForCapacity(client, config, signal, endpoint);
+    emitEvent(client, 'request:start', details());
+
+    // Every attempt gets a fresh timeout, also aborted by the caller's signal
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let retryAfterMs = null;
     try {
-      const response = await fetch(url.toString(), requestOptions);
-      clearTimeout(timeoutId);
-      
-      const data = await response.json();
+      const response = await fetchFn(url.toString(), { ...requestOptions, signal: controller.signal });
+      recordUsage(client, response.headers, endpoint);
+      trace.status = response.status;
+      trace.fbtraceId = response.headers.get('x-fb-trace-id');
+      retryAfterMs = parseRetryAfter(response.headers);
+      checkEffectiveVersion(client, config, version, response.headers, endpoint);
 
       if (!response.ok) {
-        const fbError = createFacebookError(data.error, response.status);
-        
-        // Don't retry on auth errors or client errors (4xx except rate limiting)
-        if (response.status >= 400 && response.status < 500 && response.status !== 429) {
-          throw fbError;
+        const body = await response.json().catch(() => null);
+        if (body && body.error && body.error.fbtrace_id) {
+          trace.fbtraceId = body.error.fbtrace_id;
         }
-        
-        // Retry on server errors or rate limiting
-        if (attempt < retryAttempts && (response.status >= 500 || response.status === 429)) {
-          lastError = fbError;
-          await sleep(retryDelay * Math.pow(2, attempt)); // Exponential backoff
-          continue;
-        }
-        
-        throw fbError;
+        const apiError = createFacebookError(body && body.error, response.status);
+        if (!apiError.fbtraceId) apiError.fbtraceId = trace.fbtraceId;
+        throw apiError;
       }
 
-      return data;
+      return await response.json();
     } catch (error) {
-      clearTimeout(timeoutId);
-      
-      // Handle AbortError (timeout)
-      if (error.name === 'AbortError') {
-        const timeoutError = new FacebookTimeoutError(
-          `Request timed out after ${timeout}ms`,
-          'REQUEST_TIMEOUT'
-        );
-        
-        if (attempt < retryAttempts) {
-          lastError = timeoutError;
-          await sleep(retryDelay * Math.pow(2, attempt));
-          continue;
-        }
-        
-        throw timeoutError;
-      }
-      
-      // Handle network errors
-      if (error instanceof TypeError && error.message.includes('fetch')) {
-        if (attempt < retryAttempts) {
-          lastError = error;
-          await sleep(retryDelay * Math.pow(2, attempt));
-          continue;
-        }
-      }
-      
-      // Don't retry on Facebook-specific errors that won't benefit from retry
-      if (error.name === 'FacebookAuthError' || error.name === 'FacebookPermissionError') {
+      // Cancelled by the caller: never retried
+      if (error instanceof FacebookAbortError) {
         throw error;
       }
-      
-      lastError = error;
-      
-      if (attempt < retryAttempts) {
-        await sleep(retryDelay * Math.pow(2, attempt));
-        continue;
+      if (error.name === 'AbortError' && signal && signal.aborted) {
+        throw createAbortError(signal);
       }
-      
+
+      lastError = error.name === 'AbortError'
+        ? new FacebookTimeoutError(`Request timed out after ${timeout}ms`, 'REQUEST_TIMEOUT')
+        : error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (attempt > retryAttempts || !shouldRetryRequest(lastError, attempt, retrySettings)) {
       break;
     }
+
+    const delay = computeRetryDelay(attempt, {
+      error: lastError,
+      retryDelay,
+      retryAfterMs,
+      regainAccessMs: getUsageState({ client, endpoint }).regainAccessMs
+    }, retrySettings);
+    emitEvent(client, 'request:retry', { ...details(), error: lastError, delay });
+    await sleep(delay, signal);
   }
-  
-  // If we get here, all retries failed
+
+  // Not retryable, or every attempt failed
   const processedError = handleError(
     lastError,
     `graphAPI(${endpoint})`,
-    { endpoint, method, attempt: retryAttempts + 1 }
+    { endpoint, method, attempt: trace.attempt }
   );
-  
-  logError(processedError);
+
+  if (!isExpectedError(processedError, options)) {
+    logError(processedError, config.logger);
+  }
   throw processedError;
 }
 
+/**
+ * Whether the caller expects a failure (options.expectedError), so it is not reported
+ * @param {Error} error - Error of the request
+ * @param {object} options - Graph API options
+ * @returns {boolean} True for expected failures
+ */
+function isExpectedError(error, options) {
+  return typeof options.expectedError === 'function' && Boolean(options.expectedError(error));
+}
+
+/**
+ * Facebook allows max 50 requests per batch
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * JSONPath reference to another batch item, e.g. {result=get-pages:$.data.*.id}
+ */
+const RESULT_REFERENCE = /(\{result=[^}]+\})/;
+
+/**
+ * Encodes params for a batch item, leaving result references readable for Facebook
+ * @param {object} [params={}] - Params to encode
+ * @returns {string} Encoded query/body string
+ */
+function encodeBatchParams(params = {}) {
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .map((key) => {
+      const value = String(params[key])
+        .split(RESULT_REFERENCE)
+        .map((part, index) => (index % 2 === 1 ? part : encodeURIComponent(part)))
+        .join('');
+      return `${encodeURIComponent(key)}=${value}`;
+    })
+    .join('&');
+}
+
+/**
+ * Converts one request description to a Batch API item
+ * @param {object} req - Request description
+ * @param {string} name - Item name
+ * @param {object} [proofParams={}] - appsecret_proof params of the item's own token
+ * @returns {object} Batch API item
+ */
+function toBatchItem(req, name, proofParams = {}) {
+  const method = (req.method || 'GET').toUpperCase();
+  const params = { ...req.params };
+  const token = req.accessToken || req.access_token;
+  if (token) Object.assign(params, { access_token: token, ...proofParams });
+
+  const item = { method, name, relative_url: req.endpoint };
+  const join = (base, extra) => (extra ? `${base}${base.includes('?') ? '&' : '?'}${extra}` : base);
+
+  if (method === 'GET' || method === 'DELETE') {
+    item.relative_url = join(req.endpoint, encodeBatchParams(params));
+  } else {
+    const body = typeof req.body === 'string'
+      ? [req.body, encodeBatchParams(params)].filter(Boolean).join('&')
+      : encodeBatchParams({ ...req.body, ...params });
+    if (body) item.body = body;
+  }
+
+  const dependsOn = req.dependsOn || req.depends_on;
+  if (dependsOn) item.depends_on = dependsOn;
+
+  const omitResponse = req.omitResponseOnSuccess ?? req.omit_response_on_success;
+  if (omitResponse != null) item.omit_response_on_success = omitResponse;
+
+  return item;
+}
+
+/**
+ * Parses one Batch API response entry
+ * @param {object|null} raw - Entry ({ code, headers, body }) or null when it was not completed
+ * @param {string} name - Item name
+ * @returns {object} { name, code, headers, data, error }
+ */
+function parseBatchItem(raw, name) {
+  if (raw == null) {
+    return {
+      name,
+      code: null,
+      headers: {},
+      data: null,
+      error: handleError(
+        new FacebookTimeoutError(`Batch request "${name}" timed out or was not executed`, 'BATCH_ITEM_TIMEOUT'),
+        'batchGraphAPI',
+        { name }
+      )
+    };
+  }
+
+  const headers = {};
+  (raw.headers || []).forEach((header) => {
+    headers[String(header.name).toLowerCase()] = header.value;
+  });
+
+  let data = raw.body ?? null;
+  if (typeof data === 'string') {
+    try {
+      data = data.length > 0 ? JSON.parse(data) : null;
+    } catch (error) {
+      // Non-JSON bodies are returned as-is
+    }
+  }
+
+  const failed = raw.code >= 400 || Boolean(data && data.error);
+  return {
+    name,
+    code: raw.code,
+    headers,
+    data: failed ? null : data,
+    error: failed
+      ? handleError(createFacebookError(data && data.error, raw.code), 'batchGraphAPI', { name })
+      : null
+  };
+}
+
+/**
+ * Whether a failed item can be sent again on its own, following the retry policy.
+ * Items that depend on other items (depends_on or {result=...} references) are never retried alone.
+ * @param {object} result - Parsed item result
+ * @param {object} req - Request description
+ * @param {number} attempt - Number of the failed attempt (1 for the first)
+ * @param {object} settings - Retry settings
+ * @returns {boolean} Whether to retry
+ */
+function isRetryableItem(result, req, attempt, settings) {
+  if (!result.error) return false;
+
+  const dependent = Boolean(req.dependsOn || req.depends_on) ||
+    RESULT_REFERENCE.test(JSON.stringify([req.endpoint, req.params, req.body]));
+  if (dependent) return false;
+
+  return shouldRetryRequest(result.error, attempt, settings);
+}
+
 /**
  * Batch multiple Graph API requests
- * @param {Array} requests - Array of request objects
- * @param {string} accessToken - Facebook access token
- * @param {object} [options={}] - Additional options
- * @returns {Promise<Array>} Array of responses
+ * @param {Array<object>} requests - Request descriptions:
+ *   { endpoint, method='GET', params?, body? (POST params, object or encoded string), name?,
+ *     dependsOn?/depends_on?, omitResponseOnSuccess?, accessToken?/access_token? (per-item token) }.
+ *   Params may hold JSONPath references to earlier items, e.g. { ids: '{result=pages:$.data.*.id}' };
+ *   referenced items must sit in the same chunk of 50.
+ * @param {string} accessToken - Facebook access token (fallback for items without their own)
+ * @param {object} [options={}] - Graph API options, plus:
+ * @param {boolean} [options.includeHeaders=false] - Return each item's response headers
+ * @param {number} [options.itemRetryAttempts] - Retries for failed independent items (defaults to retryAttempts)
+ * @returns {Promise<Array<object>>} Results in request order:
+ *   { name, code, headers, data (parsed body), error (Facebook error instance or null) }
  */
 export async function batchGraphAPI(requests, accessToken, options = {}) {
   if (!Array.isArray(requests) || requests.length === 0) {
     throw new Error('Requests must be a non-empty array');
   }
 
-  // Facebook allows max 50 requests per batch
-  const batchSize = 50;
-  const results = [];
+  const client = resolveContext(options);
+  const config = client.getConfig();
+  const {
+    includeHeaders = false,
+    itemRetryAttempts = options.retryAttempts ?? config.retryAttempts,
+    retryDelay = config.retryDelay
+  } = options;
+
+  const retrySettings = getRetrySettings(config, options);
+  const names = requests.map((req, index) => req.name || `request_${index}`);
+  const results = new Array(requests.length);
 
-  for (let i = 0; i < requests.length; i += batchSize) {
-    const batch = requests.slice(i, i + batchSize);
-    
-    const batchParam = batch.map((req, index) => ({
-      method: req.method || 'GET',
-      relative_url: req.endpoint + (req.params ? `?${new URLSearchParams(req.params).toString()}` : ''),
-      include_headers: false,
-      name: req.name || `request_${i + index}`
-    }));
+  for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+    const chunk = names.slice(i, i + BATCH_SIZE).map((name, offset) => i + offset);
+    const chunkNames = new Set(chunk.map((index) => names[index]));
 
-    try {
-      const response = await graphAPI(
-        '',
-        accessToken,
-        'POST',
-        { batch: JSON.stringify(batchParam) },
-        options
-      );
-
-      results.push(...response);
-    } catch (error) {
-      throw handleError(error, 'batchGraphAPI', { batchSize: batch.length });
+    chunk.forEach((index) => {
+      const dependsOn = requests[index].dependsOn || requests[index].depends_on;
+      if (dependsOn && !chunkNames.has(dependsOn)) {
+        throw new TypeError(`Batch request "${names[index]}" depends on "${dependsOn}", which is not in the same batch of ${BATCH_SIZE}`);
+      }
+    });
+
+    let pending = chunk;
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      // Items with their own token need their own appsecret_proof
+      const batchParam = await Promise.all(pending.map(async (index) => {
+        const itemToken = requests[index].accessToken || requests[index].access_token;
+        const proofParams = itemToken ? await getAppSecretParams(itemToken, config) : {};
+        return toBatchItem(requests[index], names[index], proofParams);
+      }));
+
+      try {
+        const response = await graphAPI(
+          '',
+          await client.resolveAccessToken(accessToken),
+          'POST',
+          { batch: JSON.stringify(batchParam), include_headers: includeHeaders },
+          { ...options, client }
+        );
+
+        pending.forEach((index, position) => {
+          results[index] = parseBatchItem(Array.isArray(response) ? response[position] : null, names[index]);
+        });
+      } catch (error) {
+        throw handleError(error, 'batchGraphAPI', { batchSize: batchParam.length });
+      }
+
+      const failedAttempt = attempt + 1;
+      pending = pending.filter((index) =>
+        isRetryableItem(results[index], requests[index], failedAttempt, retrySettings));
+      if (attempt >= itemRetryAttempts || pending.length === 0) break;
+
+      const delay = computeRetryDelay(failedAttempt, {
+        error: results[pending[0]].error,
+        retryDelay,
+        regainAccessMs: getUsageState({ client }).regainAccessMs
+      }, retrySettings);
+      await sleep(delay, options.signal);
     }
   }
 
   return results;
 }
-
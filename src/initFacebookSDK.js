@@ -1,5 +1,5 @@
 // src/initFacebookSDK.js
-import { getConfig } from "./config.js";
+import { resolveContext } from "./context.js";
 import { FacebookSDKError, handleError, logError } from "./errors.js";
 
 let sdkLoadPromise = null;
@@ -26,7 +26,7 @@ export function initFacebookSdk(appId, options = {}) {
     return sdkLoadPromise;
   }
 
-  const config = getConfig();
+  const config = resolveContext(options).getConfig();
   const {
     version = config.version,
     timeoutMs = config.timeout,
@@ -45,7 +45,7 @@ export function initFacebookSdk(appId, options = {}) {
       "Facebook App ID is required and must be a string",
       "INVALID_APP_ID"
     );
-    logError(error);
+    logError(error, config.logger);
     return Promise.reject(error);
   }
 
@@ -69,7 +69,7 @@ export function initFacebookSdk(appId, options = {}) {
         `Facebook SDK load timed out after ${timeoutMs}ms`,
         "SDK_LOAD_TIMEOUT"
       );
-      logError(timeoutError);
+      logError(timeoutError, config.logger);
       reject(timeoutError);
     }, timeoutMs);
 
@@ -85,7 +85,7 @@ export function initFacebookSdk(appId, options = {}) {
         appId,
         options,
       });
-      logError(processedError);
+      logError(processedError, config.logger);
       reject(processedError);
     };
 
@@ -1,27 +1,33 @@
 // src/leads.js
 import { graphAPI } from "./graph.js";
-import { getConfig } from "./config.js";
-import { handleError } from "./errors.js";
-import { resolveAccessToken, assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { resolveContext } from "./context.js";
+import { preflightPermissions } from "./permissions.js";
+import { mapWithQueue } from "./queue.js";
+import { handleError, FacebookAbortError } from "./errors.js";
+import { assertString, assertPositiveInteger, assertObject, throwIfAborted } from './utils.js';
+import { formatFields } from './fields.js';
 
 /**
  * Fetches leads from a specific lead generation form
  * @param {string} formId - Lead generation form ID
  * @param {string} accessToken - Page access token with leads_retrieval permission
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit=25] - Maximum number of leads to fetch
  * @param {string} [options.after] - Cursor for pagination
  * @param {string} [options.since] - ISO date string to filter leads since
  * @param {string} [options.until] - ISO date string to filter leads until
 
  * @param {object} [options.apiOptions] - Additional Graph API options
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<object>} Facebook response containing leads
  */
 export async function getLeads(formId, accessToken, options = {}) {
   try {
     assertString(formId, 'formId');
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions("getLeads", accessToken, options);
     const {
       fields = config.defaultFields.leads,
       limit = 25,
@@ -38,17 +44,17 @@ export async function getLeads(formId, accessToken, options = {}) {
 
 
     // Build query parameters
-    const params = { fields, limit };
+    const params = { fields: formatFields(fields), limit };
     if (after) params.after = after;
     if (since) params.since = since;
     if (until) params.until = until;
 
     const leadsData = await graphAPI(
       `${formId}/leads`,
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       "GET",
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
     return leadsData;
@@ -81,6 +87,7 @@ export async function getAllLeads(formId, accessToken, options = {}) {
     let fetchedCount = 0;
 
     while (hasNextPage && fetchedCount < maxLeads) {
+      throwIfAborted(options.signal);
       const response = await getLeads(formId, accessToken, {
         ...otherOptions,
         after,
@@ -123,6 +130,10 @@ export async function getAllLeads(formId, accessToken, options = {}) {
  * @param {string} accessToken - Page access token
  * @param {object} [options={}] - Query options
  * @param {boolean} [options.parallel=true] - Whether to fetch forms in parallel
+ * @param {number} [options.concurrency] - Max forms fetched at once in parallel mode (defaults to the shared queue)
+ * @param {string|number} [options.priority='normal'] - Queue priority in parallel mode
+ * @param {Function} [options.onProgress] - Called with { completed, failed, total, item } after each form in parallel mode
+ * @param {AbortSignal} [options.signal] - Cancels the remaining forms (rejects instead of reporting per-form errors)
  * @returns {Promise<object>} Object with formId as keys and leads as values
  */
 export async function getLeadsFromMultipleForms(
@@ -135,15 +146,15 @@ export async function getLeadsFromMultipleForms(
       throw new TypeError("formIds must be a non-empty array");
     }
 
-    const { parallel = true, ...otherOptions } = options;
+    const { parallel = true, concurrency, priority, onProgress, ...otherOptions } = options;
 
     const results = {};
 
 
 
     if (parallel) {
-      // Process forms concurrently
-      const promises = formIds.map(async (formId) => {
+      // Process forms concurrently through the task queue
+      const responses = await mapWithQueue(formIds, async (formId) => {
         try {
           const leads = await getLeads(formId, accessToken, {
             ...otherOptions,
@@ -151,11 +162,10 @@ export async function getLeadsFromMultipleForms(
           });
           return { formId, leads, success: true };
         } catch (error) {
+          if (error instanceof FacebookAbortError) throw error;
           return { formId, error: error.message, success: false };
         }
-      });
-
-      const responses = await Promise.all(promises);
+      }, { client: otherOptions.client, concurrency, priority, accessToken, onProgress, signal: otherOptions.signal });
 
       responses.forEach(({ formId, leads, error, success }) => {
         results[formId] = success ? leads : { error };
@@ -163,6 +173,7 @@ export async function getLeadsFromMultipleForms(
     } else {
       // Process forms sequentially
       for (const formId of formIds) {
+        throwIfAborted(otherOptions.signal);
         try {
           const leads = await getLeads(formId, accessToken, {
             ...otherOptions,
@@ -170,6 +181,7 @@ export async function getLeadsFromMultipleForms(
           });
           results[formId] = leads;
         } catch (error) {
+          if (error instanceof FacebookAbortError) throw error;
           results[formId] = { error: error.message };
         }
       }
@@ -227,10 +239,17 @@ export async function getRecentLeads(formId, accessToken, options = {}) {
  */
 export async function getLeadStats(formId, accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
+    await preflightPermissions("getLeadStats", accessToken, options);
+
     // Get form details first
-    const formDetails = await graphAPI(formId, accessToken, "GET", {
-      fields: "leads_count,expired_leads_count,created_time,status",
-    });
+    const formDetails = await graphAPI(
+      formId,
+      await client.resolveAccessToken(accessToken),
+      "GET",
+      { fields: "leads_count,expired_leads_count,created_time,status" },
+      { signal: options.signal, ...options.apiOptions, client }
+    );
 
     // Get recent leads for additional stats
     const recentLeads = await getRecentLeads(formId, accessToken, {
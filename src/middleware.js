@@ -0,0 +1,44 @@
+// src/middleware.js
+
+/**
+ * Middleware wrap every request made by graphAPI (and therefore batchGraphAPI).
+ *
+ * A middleware is `async (request, next) => response`:
+ * - `request` holds { endpoint, accessToken, method, params, headers, options } and may be
+ *   modified in place (add headers, rewrite the endpoint...) before calling `next`
+ * - `next(request?)` runs the rest of the chain, including retries and error creation,
+ *   and resolves with the parsed response or rejects with the final Facebook error
+ * - returning without calling `next` short-circuits the request (e.g. cached data)
+ *
+ * Middleware run in registration order: the first one registered is the outermost.
+ */
+
+/**
+ * Validates a middleware function
+ * @param {any} middleware - Value to validate
+ */
+export function assertMiddleware(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new TypeError('middleware must be a function (request, next) => response');
+  }
+}
+
+/**
+ * Runs a request through an ordered middleware chain
+ * @param {Array<Function>} [middleware=[]] - Middleware chain
+ * @param {object} request - Request description
+ * @param {Function} handler - Innermost handler that actually sends the request
+ * @returns {Promise<any>} Response produced by the chain
+ */
+export function runMiddleware(middleware = [], request, handler) {
+  const dispatch = async (index, req) => {
+    const fn = middleware[index];
+    if (!fn) {
+      return handler(req);
+    }
+
+    return fn(req, (nextRequest = req) => dispatch(index + 1, nextRequest));
+  };
+
+  return dispatch(0, request);
+}
@@ -0,0 +1,541 @@
+// src/oauth.js
+import { DEFAULT_CONFIG } from './config.js';
+import { graphAPI } from './graph.js';
+import { resolveContext } from './context.js';
+import { emitEvent } from './events.js';
+import { assertServerOnly } from './secretProof.js';
+import { USER_TOKEN } from './tokenStore.js';
+import {
+  FacebookSDKError,
+  FacebookAuthError,
+  FacebookTimeoutError,
+  handleError,
+  logError
+} from './errors.js';
+import { assertString, assertObject, createAbortError } from './utils.js';
+
+/**
+ * Facebook Login without the JS SDK, through the manual Login Dialog flow. Works in
+ * Electron, browser extensions, strict-CSP pages and server-rendered apps.
+ *
+ * 1. createOAuthUrl builds the `dialog/oauth` URL with a random `state`, remembered
+ *    (sessionStorage in browsers, memory otherwise) for `oauth.stateTtl`
+ * 2. loginWithOAuth opens it in a popup or redirects the page to it
+ * 3. handleOAuthCallback checks the state of the redirect URL (once, so a callback cannot
+ *    be replayed) and reads the token from its fragment or the code from its query
+ * 4. exchangeCodeForToken trades a code for a token on the server (needs the app secret)
+ *
+ * Tokens are stored as the client's 'user' token, so every function picks them up
+ * through resolveAccessToken.
+ */
+
+/**
+ * Web Storage key prefix of pending states
+ */
+const STATE_PREFIX = 'interact-fb:oauth:';
+
+/**
+ * Pending states per client context when sessionStorage is unavailable
+ */
+const pendingStates = new WeakMap();
+
+/**
+ * Pending states kept in memory per client; the oldest is dropped beyond this
+ */
+const MAX_PENDING_STATES = 1000;
+
+/**
+ * Query and fragment parameters the Login Dialog adds to the redirect URI
+ */
+const CALLBACK_PARAMS = [
+  'code',
+  'state',
+  'error',
+  'error_code',
+  'error_reason',
+  'error_description',
+  'access_token',
+  'expires_in',
+  'data_access_expiration_time',
+  'long_lived_token',
+  'granted_scopes',
+  'denied_scopes'
+];
+
+/**
+ * Resolves OAuth settings from config
+ * @param {object} config - Resolved configuration
+ * @returns {object} { redirectUri, responseType, dialogUrl, stateTtl }
+ */
+function getSettings(config) {
+  return { ...DEFAULT_CONFIG.oauth, ...config.oauth };
+}
+
+/**
+ * Gets sessionStorage when the environment has a usable one
+ * @returns {Storage|null} sessionStorage or null
+ */
+function getSessionStorage() {
+  try {
+    return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+  } catch (error) {
+    // Access throws in sandboxed iframes and with storage disabled
+    return null;
+  }
+}
+
+/**
+ * Generates an unguessable state value
+ * @returns {Promise<string>} 64 hex characters
+ */
+async function createState() {
+  const bytes = new Uint8Array(32);
+  if (typeof globalThis.crypto !== 'undefined' && typeof globalThis.crypto.getRandomValues === 'function') {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    bytes.set((await import('node:crypto')).randomBytes(32));
+  }
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Remembers a state until its callback arrives, forgetting the expired ones of
+ * logins that were abandoned
+ * @param {object} client - Client context
+ * @param {string} state - State value
+ * @param {object} entry - { redirectUri, responseType, createdAt }
+ * @param {number} stateTtl - ms a state stays valid
+ */
+function saveState(client, state, entry, stateTtl) {
+  const isExpired = (pending) => !pending || pending.createdAt + stateTtl <= entry.createdAt;
+
+  const storage = getSessionStorage();
+  if (storage) {
+    const keys = Array.from({ length: storage.length }, (_, index) => storage.key(index))
+      .filter((key) => key && key.startsWith(STATE_PREFIX));
+    keys.forEach((key) => {
+      let pending = null;
+      try {
+        pending = JSON.parse(storage.getItem(key));
+      } catch (error) {
+        // Unreadable entries are dropped with the expired ones
+      }
+      if (isExpired(pending)) storage.removeItem(key);
+    });
+    storage.setItem(STATE_PREFIX + state, JSON.stringify(entry));
+    return;
+  }
+  if (!pendingStates.has(client)) {
+    pendingStates.set(client, new Map());
+  }
+  const states = pendingStates.get(client);
+  states.forEach((pending, key) => {
+    if (isExpired(pending)) states.delete(key);
+  });
+  states.set(state, entry);
+  while (states.size > MAX_PENDING_STATES) {
+    states.delete(states.keys().next().value);
+  }
+}
+
+/**
+ * Removes the Login Dialog parameters from a callback URL, keeping the app's own
+ * @param {URL} parsed - Callback URL
+ * @returns {string} Path, query and fragment left
+ */
+function stripCallbackParams(parsed) {
+  const query = new URLSearchParams(parsed.search);
+  CALLBACK_PARAMS.forEach((name) => query.delete(name));
+  const search = query.toString();
+
+  let hash = parsed.hash;
+  const fragment = new URLSearchParams(hash.replace(/^#/, ''));
+  if (CALLBACK_PARAMS.some((name) => fragment.has(name))) {
+    CALLBACK_PARAMS.forEach((name) => fragment.delete(name));
+    hash = fragment.toString() ? `#${fragment.toString()}` : '';
+  }
+
+  return `${parsed.pathname}${search ? `?${search}` : ''}${hash}`;
+}
+
+/**
+ * Reads and forgets a pending state
+ * @param {object} client - Client context
+ * @param {string} state - State value
+ * @returns {object|null} Pending entry, or null when unknown
+ */
+function takeState(client, state) {
+  const storage = getSessionStorage();
+  if (storage) {
+    const raw = storage.getItem(STATE_PREFIX + state);
+    storage.removeItem(STATE_PREFIX + state);
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  const states = pendingStates.get(client);
+  const entry = states ? states.get(state) : null;
+  if (states) states.delete(state);
+  return entry || null;
+}
+
+/**
+ * Splits a scope list (string or array) into a comma-separated string
+ * @param {string|Array<string>} [scope] - Permissions
+ * @param {object} config - Resolved configuration
+ * @returns {string} Comma-separated scopes
+ */
+function formatScope(scope, config) {
+  if (Array.isArray(scope)) return scope.join(',');
+  if (typeof scope === 'string') return scope;
+  return config.defaultPermissions.basic.join(',');
+}
+
+/**
+ * Builds a Login Dialog URL and remembers its state
+ * @param {object} [options={}] - Options
+ * @param {string|Array<string>} [options.scope] - Permissions (defaults to defaultPermissions.basic)
+ * @param {string} [options.redirectUri] - Redirect URI registered in the app (defaults to oauth.redirectUri)
+ * @param {string} [options.responseType] - 'token' (browser) or 'code' (server exchange)
+ * @param {string} [options.state] - State to use instead of a random one (e.g. kept in a session)
+ * @param {string} [options.authType] - 'rerequest', 'reauthenticate' or 'reauthorize'
+ * @param {string} [options.display] - Dialog display ('page' or 'popup')
+ * @param {string} [options.appId] - App ID (defaults to config.appId)
+ * @returns {Promise<object>} { url, state }
+ */
+export async function createOAuthUrl(options = {}) {
+  assertObject(options, 'options');
+  const client = resolveContext(options);
+  const config = client.getConfig();
+  const settings = getSettings(config);
+
+  const {
+    scope,
+    redirectUri = settings.redirectUri,
+    responseType = settings.responseType,
+    authType,
+    display,
+    appId = config.appId
+  } = options;
+
+  if (!appId) {
+    throw new FacebookSDKError('appId is required for the Login Dialog. Pass it or set it with setConfig().', 'APP_ID_REQUIRED');
+  }
+  assertString(redirectUri, 'redirectUri');
+  if (responseType !== 'token' && responseType !== 'code') {
+    throw new TypeError("responseType must be 'token' or 'code'");
+  }
+
+  const state = options.state || await createState();
+  saveState(client, state, { redirectUri, responseType, createdAt: Date.now() }, settings.stateTtl);
+
+  const params = new URLSearchParams({
+    client_id: appId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    scope: formatScope(scope, config),
+    state
+  });
+  if (responseType === 'token') params.set('return_scopes', 'true');
+  if (authType) params.set('auth_type', authType);
+  if (display) params.set('display', display);
+
+  return {
+    url: `${settings.dialogUrl}/${config.version}/dialog/oauth?${params.toString()}`,
+    state
+  };
+}
+
+/**
+ * Splits a comma-separated scope list from a callback
+ * @param {string|null} value - Raw value
+ * @returns {Array<string>} Scopes
+ */
+function toScopes(value) {
+  return value ? value.split(',').filter(Boolean) : [];
+}
+
+/**
+ * Handles the redirect of the Login Dialog: checks its state, then returns the token
+ * (stored as the 'user' token) or the code to exchange on the server
+ * @param {string} [url=window.location.href] - Callback URL (a path works on the server)
+ * @param {object} [options={}] - Options
+ * @param {string} [options.state] - Expected state, when it was kept elsewhere (e.g. a cookie).
+ *   Otherwise the state must come from createOAuthUrl within oauth.stateTtl.
+ * @param {boolean} [options.store=true] - Store the token with setAccessToken
+ * @param {boolean} [options.cleanUrl=true] - In browsers, remove the login parameters from the address bar
+ * @returns {Promise<object>} { accessToken, expiresIn, grantedScopes, deniedScopes, state }
+ *   for the token flow, { code, redirectUri, state } for the code flow
+ * @throws {FacebookAuthError} OAUTH_STATE_MISMATCH, AUTH_CANCELLED or OAUTH_ERROR
+ */
+export async function handleOAuthCallback(url, options = {}) {
+  try {
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const settings = getSettings(client.getConfig());
+    const { store = true, cleanUrl = true } = options;
+    const inBrowser = typeof window !== 'undefined' && window.location;
+    const href = url || (inBrowser ? window.location.href : null);
+    assertString(href, 'url');
+
+    const parsed = new URL(href, 'http://localhost');
+    // Tokens come in the fragment, codes and errors in the query
+    const fragment = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+    const read = (name) => fragment.get(name) || parsed.searchParams.get(name);
+
+    const state = read('state');
+    const pending = state ? takeState(client, state) : null;
+    const expected = options.state
+      ? options.state === state
+      : Boolean(pending && pending.createdAt + settings.stateTtl > Date.now());
+    if (!state || !expected) {
+      throw new FacebookAuthError(
+        'Login callback state does not match a pending login (possible CSRF or an expired login)',
+        'OAUTH_STATE_MISMATCH'
+      );
+    }
+
+    if (inBrowser && cleanUrl && !url && window.history && typeof window.history.replaceState === 'function') {
+      window.history.replaceState(null, '', stripCallbackParams(parsed));
+    }
+
+    if (read('error')) {
+      const cancelled = read('error_reason') === 'user_denied';
+      const authError = new FacebookAuthError(
+        cancelled ? 'User cancelled login or authentication failed' : read('error_description') || read('error'),
+        cancelled ? 'AUTH_CANCELLED' : 'OAUTH_ERROR'
+      );
+      authError.fbResponse = Object.fromEntries([...parsed.searchParams, ...fragment]);
+      throw authError;
+    }
+
+    const code = read('code');
+    if (code) {
+      return {
+        code,
+        redirectUri: pending ? pending.redirectUri : null,
+        state
+      };
+    }
+
+    const accessToken = read('access_token');
+    if (!accessToken) {
+      throw new FacebookAuthError('Login callback has neither an access token nor a code', 'OAUTH_ERROR');
+    }
+    const expiresIn = read('expires_in') ? Number(read('expires_in')) : null;
+
+    if (store) {
+      await client.setAccessToken(accessToken, expiresIn);
+      emitEvent(client, 'token:refresh', { source: 'oauth', name: USER_TOKEN, expiresIn, duration: 0 });
+    }
+
+    return {
+      accessToken,
+      expiresIn,
+      grantedScopes: toScopes(read('granted_scopes')),
+      deniedScopes: toScopes(read('denied_scopes')),
+      state
+    };
+  } catch (error) {
+    throw handleError(error, 'handleOAuthCallback');
+  }
+}
+
+/**
+ * Waits for a popup to come back to the redirect URI
+ * @param {Window} popup - Popup window
+ * @param {string} redirectUri - Redirect URI
+ * @param {object} options - { timeout, signal }
+ * @returns {Promise<string>} Callback URL
+ */
+function waitForRedirect(popup, redirectUri, options) {
+  const target = new URL(redirectUri, window.location.href);
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+
+    if (options.signal && options.signal.aborted) {
+      popup.close();
+      reject(createAbortError(options.signal));
+      return;
+    }
+
+    const timer = setInterval(() => {
+      if (popup.closed) {
+        finish(() => reject(new FacebookAuthError('User closed the login popup', 'AUTH_CANCELLED')));
+        return;
+      }
+      if (Date.now() - startedAt > options.timeout) {
+        finish(() => reject(new FacebookTimeoutError('Login popup timed out', 'OAUTH_TIMEOUT')));
+        return;
+      }
+      let href;
+      try {
+        // Throws while the popup shows facebook.com
+        href = popup.location.href;
+      } catch (error) {
+        return;
+      }
+      const current = new URL(href);
+      if (current.origin === target.origin && current.pathname === target.pathname) {
+        finish(() => resolve(href));
+      }
+    }, 250);
+
+    const finish = (callback) => {
+      clearInterval(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+      if (!popup.closed) popup.close();
+      callback();
+    };
+    const onAbort = () => finish(() => reject(createAbortError(options.signal)));
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Logs in through the Login Dialog without the JS SDK.
+ * Popup mode opens the dialog in a popup and resolves with the callback result once it
+ * reaches `redirectUri` (which must be on this origin). Call it from a click handler so
+ * the popup is not blocked. Redirect mode navigates to the dialog; call
+ * handleOAuthCallback() on the redirect page.
+ * @param {string|Array} [scope] - Requested permissions (string or array)
+ * @param {object} [options={}] - createOAuthUrl options, plus:
+ * @param {string} [options.mode='popup'] - 'popup' or 'redirect'
+ * @param {number} [options.timeout=300000] - Popup mode: ms before giving up
+ * @param {string} [options.popupFeatures] - Popup mode: window.open features
+ * @param {AbortSignal} [options.signal] - Popup mode: closes the popup and rejects
+ * @returns {Promise<object>} Popup mode: handleOAuthCallback result. Redirect mode: { url, state }
+ *   (resolves as the page starts navigating).
+ */
+export async function loginWithOAuth(scope, options = {}) {
+  // If first parameter is options object
+  if (typeof scope === 'object' && scope !== null && !Array.isArray(scope)) {
+    options = scope;
+    scope = undefined;
+  }
+
+  const {
+    mode = 'popup',
+    timeout = 5 * 60 * 1000,
+    popupFeatures = 'width=600,height=700,menubar=no,toolbar=no',
+    ...urlOptions
+  } = options;
+
+  try {
+    if (typeof window === 'undefined' || typeof window.open !== 'function') {
+      throw new FacebookSDKError(
+        'loginWithOAuth needs a browser window. On the server, redirect to createOAuthUrl() instead.',
+        'BROWSER_ONLY'
+      );
+    }
+    if (mode !== 'popup' && mode !== 'redirect') {
+      throw new TypeError("mode must be 'popup' or 'redirect'");
+    }
+
+    // Opened before any await, while the click still allows popups
+    const popup = mode === 'popup' ? window.open('', 'interact-fb-login', popupFeatures) : null;
+    if (mode === 'popup' && !popup) {
+      throw new FacebookAuthError('The login popup was blocked by the browser', 'POPUP_BLOCKED');
+    }
+
+    let login;
+    try {
+      login = await createOAuthUrl({ ...urlOptions, scope, display: urlOptions.display || (mode === 'popup' ? 'popup' : undefined) });
+    } catch (error) {
+      if (popup) popup.close();
+      throw error;
+    }
+
+    if (mode === 'redirect') {
+      window.location.assign(login.url);
+      return login;
+    }
+
+    popup.location.href = login.url;
+    const callbackUrl = await waitForRedirect(
+      popup,
+      urlOptions.redirectUri || getSettings(resolveContext(options).getConfig()).redirectUri,
+      { timeout, signal: options.signal }
+    );
+    return await handleOAuthCallback(callbackUrl, urlOptions);
+  } catch (error) {
+    const processedError = handleError(error, 'loginWithOAuth', { mode });
+    logError(processedError, resolveContext(options).getConfig().logger);
+    throw processedError;
+  }
+}
+
+/**
+ * Exchanges a Login Dialog code for a user token (server only: needs the app secret)
+ * @param {string} code - Code from handleOAuthCallback
+ * @param {object} [options={}] - Options
+ * @param {string} [options.redirectUri] - The redirect URI of the dialog (defaults to oauth.redirectUri)
+ * @param {string} [options.appId] - App ID (defaults to config.appId)
+ * @param {string} [options.appSecret] - App secret (defaults to config.appSecret)
+ * @param {boolean} [options.store=true] - Store the token as the client's 'user' token
+ * @param {object} [options.apiOptions] - Additional Graph API options
+ * @returns {Promise<object>} { accessToken, tokenType, expiresIn (seconds or null), expiresAt (Date or null) }
+ */
+export async function exchangeCodeForToken(code, options = {}) {
+  try {
+    assertString(code, 'code');
+    assertObject(options, 'options');
+    assertServerOnly('exchangeCodeForToken');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+
+    const {
+      redirectUri = getSettings(config).redirectUri,
+      appId = config.appId,
+      appSecret = config.appSecret,
+      store = true,
+      apiOptions = {}
+    } = options;
+
+    if (!appId || !appSecret) {
+      throw new FacebookSDKError(
+        'appId and appSecret are required to exchange codes. Pass them or set them with setConfig().',
+        'APP_CREDENTIALS_REQUIRED'
+      );
+    }
+    assertString(redirectUri, 'redirectUri');
+
+    const startedAt = Date.now();
+    // The app token authenticates the call; there is no user token yet
+    const response = await graphAPI(
+      'oauth/access_token',
+      `${appId}|${appSecret}`,
+      'GET',
+      {
+        client_id: appId,
+        client_secret: appSecret,
+        redirect_uri: redirectUri,
+        code
+      },
+      { signal: options.signal, cache: false, dedupe: false, ...apiOptions, client }
+    );
+
+    const expiresIn = response.expires_in ? Number(response.expires_in) : null;
+    const result = {
+      accessToken: response.access_token,
+      tokenType: response.token_type || 'bearer',
+      expiresIn,
+      expiresAt: expiresIn ? new Date(startedAt + expiresIn * 1000) : null
+    };
+
+    if (store) {
+      await client.setAccessToken(result.accessToken, expiresIn);
+      emitEvent(client, 'token:refresh', { source: 'oauth', name: USER_TOKEN, expiresIn, duration: Date.now() - startedAt });
+    }
+
+    return result;
+  } catch (error) {
+    throw handleError(error, 'exchangeCodeForToken');
+  }
+}
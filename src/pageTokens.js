@@ -0,0 +1,268 @@
+// src/pageTokens.js
+import { DEFAULT_CONFIG } from './config.js';
+import { resolveContext } from './context.js';
+import { collectAll, paginate } from './pagination.js';
+import { hashToken } from './cache.js';
+import { pageTokenName } from './tokenStore.js';
+import { FacebookPermissionError, isNotUserTokenError } from './errors.js';
+import { createInFlightRegistry } from './utils.js';
+
+/**
+ * Automatic page access tokens for page-scoped functions (posts, lead forms, page info,
+ * comments and likes of page posts, uploads).
+ *
+ * Functions reading public data (page info, page posts, comments and likes of posts) keep
+ * the user token for pages the user does not manage; management and lead functions throw
+ * PAGE_NOT_ACCESSIBLE for them. Post IDs (`<prefix>_<postId>`) only hint at a page: the
+ * prefix may also be a user.
+ *
+ * When such a function gets a user token, the matching page token is looked up in
+ * `me/accounts`, kept in memory per user token and written to the token store as
+ * 'page:<pageId>'. Lookups older than `pageTokens.ttl` are refreshed. Page tokens are
+ * recognised by Facebook rejecting `me/accounts` for them (error 100) and used as-is.
+ *
+ * Disable it with setConfig({ pageTokens: { enabled: false } }) or per call with
+ * `resolvePageToken: false`.
+ */
+
+/**
+ * User tokens whose page lists are kept per client; the oldest is dropped beyond this
+ */
+const MAX_USER_TOKENS = 100;
+
+/**
+ * Lookup state per client context
+ */
+const pageTokenStates = new WeakMap();
+
+function getState(client) {
+  if (!pageTokenStates.has(client)) {
+    pageTokenStates.set(client, {
+      accounts: new Map(),
+      pageTokens: new Set(),
+      inFlight: createInFlightRegistry()
+    });
+  }
+  return pageTokenStates.get(client);
+}
+
+/**
+ * Resolves page token settings from config
+ * @param {object} config - Resolved configuration
+ * @returns {object} { enabled, ttl }
+ */
+function getSettings(config) {
+  return { ...DEFAULT_CONFIG.pageTokens, ...config.pageTokens };
+}
+
+/**
+ * Fetches (once at a time per user token) the page tokens a user token can see
+ * @param {object} client - Client context
+ * @param {string} userToken - User access token
+ * @param {object} options - { signal, apiOptions }
+ * @returns {Promise<object|null>} { fetchedAt, pages: Map of page ID to token }, null for non-user tokens
+ */
+function fetchAccounts(client, userToken, options) {
+  const state = getState(client);
+  const key = hashToken(userToken);
+
+  return state.inFlight.run(key, async (signal) => {
+    try {
+      const accounts = await collectAll(
+        'me/accounts',
+        userToken,
+        { fields: 'id,access_token', limit: 100 },
+        { signal, apiOptions: { cache: false, ...options.apiOptions, expectedError: isNotUserTokenError }, client }
+      );
+
+      const entry = {
+        fetchedAt: Date.now(),
+        pages: new Map(accounts
+          .filter((account) => account.access_token)
+          .map((account) => [String(account.id), account.access_token]))
+      };
+      state.accounts.delete(key);
+      state.accounts.set(key, entry);
+      while (state.accounts.size > MAX_USER_TOKENS) {
+        state.accounts.delete(state.accounts.keys().next().value);
+      }
+
+      // Stored page tokens expire with the stored user token they come from
+      const userEntry = await client.getToken();
+      const expiresAt = userEntry && userEntry.token === userToken ? userEntry.expiresAt : null;
+      await Promise.all(Array.from(entry.pages, ([pageId, token]) => {
+        state.pageTokens.add(hashToken(token));
+        return client.setAccessToken(token, null, { name: pageTokenName(pageId), expiresAt });
+      }));
+
+      return entry;
+    } catch (error) {
+      if (isNotUserTokenError(error)) {
+        state.pageTokens.add(key);
+        return null;
+      }
+      throw error;
+    }
+  }, { signal: options.signal });
+}
+
+/**
+ * Resolves the token for a page, keeping the user token for pages the user does not
+ * manage when `optional` is set (PAGE_NOT_ACCESSIBLE otherwise)
+ * @param {string|null} pageId - Facebook Page ID (null uses the token as-is)
+ * @param {string} [accessToken] - User or page access token
+ * @param {object} options - Options
+ * @param {boolean} optional - Whether the page may be missing from me/accounts
+ * @returns {Promise<string>} Access token
+ */
+async function resolveToken(pageId, accessToken, options, optional) {
+  const client = resolveContext(options);
+  const config = client.getConfig();
+  const { enabled, ttl } = getSettings(config);
+
+  if (!pageId || !enabled || options.resolvePageToken === false) {
+    return client.resolveAccessToken(accessToken);
+  }
+
+  const state = getState(client);
+  const id = String(pageId);
+  const explicit = typeof accessToken === 'string' && accessToken.trim().length > 0;
+
+  if (explicit && state.pageTokens.has(hashToken(accessToken))) {
+    return accessToken;
+  }
+
+  // Without a token, a fresh stored page token saves the lookup
+  let stored = null;
+  if (!explicit) {
+    stored = await client.getToken(pageTokenName(id));
+    if (stored && stored.updatedAt + ttl > Date.now()) {
+      return stored.token;
+    }
+  }
+
+  let userToken;
+  try {
+    userToken = await client.resolveAccessToken(accessToken);
+  } catch (error) {
+    // A stale page token still beats no token at all
+    if (stored) return stored.token;
+    throw error;
+  }
+
+  let accounts = state.accounts.get(hashToken(userToken));
+  if (!accounts || accounts.fetchedAt + ttl <= Date.now()) {
+    accounts = await fetchAccounts(client, userToken, options);
+  }
+
+  if (!accounts || (optional && !accounts.pages.has(id))) {
+    return userToken;
+  }
+  if (!accounts.pages.has(id)) {
+    throw new FacebookPermissionError(
+      `Page ${id} is not accessible with this user token: the user does not manage it or did not grant it to the app`,
+      config.defaultPermissions.pages,
+      'PAGE_NOT_ACCESSIBLE'
+    );
+  }
+  return accounts.pages.get(id);
+}
+
+/**
+ * Resolves the token to call a page with: the page token matching a user token,
+ * a stored page token when no token is given, or a page token passed as-is.
+ * @param {string|null} pageId - Facebook Page ID (null uses the token as-is)
+ * @param {string} [accessToken] - User or page access token (auto-resolved when omitted)
+ * @param {object} [options={}] - Options
+ * @param {boolean} [options.resolvePageToken=true] - Set false to use accessToken unchanged
+ * @param {object} [options.apiOptions] - Graph API options for the me/accounts lookup
+ * @returns {Promise<string>} Access token for the page
+ * @throws {FacebookPermissionError} PAGE_NOT_ACCESSIBLE when the user cannot access the page
+ */
+export function resolvePageAccessToken(pageId, accessToken, options = {}) {
+  return resolveToken(pageId, accessToken, options, false);
+}
+
+/**
+ * Resolves the token to read a page's public data with: the page token when the user
+ * manages the page, else the user (or given) token
+ * @param {string|null} pageId - Facebook Page ID (null uses the token as-is)
+ * @param {string} [accessToken] - User or page access token (auto-resolved when omitted)
+ * @param {object} [options={}] - Options (see resolvePageAccessToken)
+ * @returns {Promise<string>} Access token for the page
+ */
+export function resolvePageReadToken(pageId, accessToken, options = {}) {
+  return resolveToken(pageId, accessToken, options, true);
+}
+
+/**
+ * Resolves the token to read a post with (see resolvePageReadToken)
+ * @param {string} postId - Facebook post ID
+ * @param {string} [accessToken] - User or page access token (auto-resolved when omitted)
+ * @param {object} [options={}] - Options (see resolvePageAccessToken)
+ * @returns {Promise<string>} Access token for the post
+ */
+export function resolvePostAccessToken(postId, accessToken, options = {}) {
+  return resolvePageReadToken(pageIdOfPost(postId), accessToken, options);
+}
+
+/**
+ * Gets the page of a page post from its ID (`<pageId>_<postId>`)
+ * @param {string} postId - Facebook post ID
+ * @returns {string|null} Page ID, or null when the ID does not carry it
+ */
+function pageIdOfPost(postId) {
+  const separator = String(postId).indexOf('_');
+  return separator > 0 ? String(postId).slice(0, separator) : null;
+}
+
+/**
+ * Paginates an edge with the token resolved for a page
+ * @param {string|null} pageId - Facebook Page ID (null uses the token as-is)
+ * @param {string} endpoint - Edge endpoint
+ * @param {string} [accessToken] - User or page access token
+ * @param {object} [params={}] - Query params of the first page
+ * @param {object} [options={}] - Pagination options
+ * @returns {AsyncGenerator<object>} Items (or page responses)
+ */
+export async function* paginateWithPageToken(pageId, endpoint, accessToken, params = {}, options = {}) {
+  const token = await resolvePageAccessToken(pageId, accessToken, options);
+  yield* paginate(endpoint, token, params, options);
+}
+
+/**
+ * Paginates a public edge of a page with the token resolved to read it (see resolvePageReadToken)
+ * @param {string|null} pageId - Facebook Page ID (null uses the token as-is)
+ * @param {string} endpoint - Edge endpoint
+ * @param {string} [accessToken] - User or page access token
+ * @param {object} [params={}] - Query params of the first page
+ * @param {object} [options={}] - Pagination options
+ * @returns {AsyncGenerator<object>} Items (or page responses)
+ */
+export async function* paginateWithPageReadToken(pageId, endpoint, accessToken, params = {}, options = {}) {
+  const token = await resolvePageReadToken(pageId, accessToken, options);
+  yield* paginate(endpoint, token, params, options);
+}
+
+/**
+ * Paginates an edge of a post with the token resolved for it (see resolvePostAccessToken)
+ * @param {string} postId - Facebook post ID
+ * @param {string} endpoint - Edge endpoint
+ * @param {string} [accessToken] - User or page access token
+ * @param {object} [params={}] - Query params of the first page
+ * @param {object} [options={}] - Pagination options
+ * @returns {AsyncGenerator<object>} Items (or page responses)
+ */
+export async function* paginateWithPostToken(postId, endpoint, accessToken, params = {}, options = {}) {
+  const token = await resolvePostAccessToken(postId, accessToken, options);
+  yield* paginate(endpoint, token, params, options);
+}
+
+/**
+ * Forgets the page tokens looked up by a client (the token store is left untouched)
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ */
+export function clearPageTokenCache(options = {}) {
+  pageTokenStates.delete(resolveContext(options));
+}
@@ -1,26 +1,32 @@
 // src/pages.js
 import { graphAPI } from "./graph.js";
-import { getConfig } from "./config.js";
-import { handleError } from "./errors.js";
+import { paginate } from "./pagination.js";
+import { mapWithQueue } from "./queue.js";
+import { resolveContext } from "./context.js";
+import { preflightPermissions } from "./permissions.js";
+import { handleError, FacebookAbortError } from "./errors.js";
 import {
-  resolveAccessToken,
   assertString,
   assertPositiveInteger,
   assertObject,
 } from "./utils.js";
+import { formatFields } from "./fields.js";
+import { resolvePageReadToken } from "./pageTokens.js";
 
 /**
  * Fetches Facebook Pages the user manages with enhanced options
  * @param {string} accessToken - User's access token
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of pages to fetch
 
  * @returns {Promise<object>} List of pages and associated access tokens
  */
 export async function getPages(accessToken, options = {}) {
   try {
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions("getPages", accessToken, options);
     const {
       fields = config.defaultFields.pages,
       limit,
@@ -33,14 +39,15 @@ export async function getPages(accessToken, options = {}) {
 
 
     // Build query parameters
-    const params = { fields };
+    const params = { fields: formatFields(fields) };
     if (limit) params.limit = limit;
 
     return await graphAPI(
       "me/accounts",
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       "GET",
-      params
+      params,
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -48,6 +55,29 @@ export async function getPages(accessToken, options = {}) {
   }
 }
 
+/**
+ * Iterates over all pages the user manages, following pagination
+ * @param {string} accessToken - User's access token
+ * @param {object} [options={}] - Query options (fields, limit per page) and
+ *   pagination options (maxItems, maxPages, maxDuration)
+ * @returns {AsyncGenerator<object>} Pages
+ */
+export function iteratePages(accessToken, options = {}) {
+  assertObject(options, "options");
+  const config = resolveContext(options).getConfig();
+
+  const {
+    fields = config.defaultFields.pages,
+    limit,
+    ...paginationOptions
+  } = options;
+
+  const params = { fields: formatFields(fields) };
+  if (limit) params.limit = limit;
+
+  return paginate("me/accounts", accessToken, params, paginationOptions);
+}
+
 /**
  * Fetches detailed information about a specific page
  * @param {string} pageId - Facebook Page ID
@@ -57,6 +87,8 @@ export async function getPages(accessToken, options = {}) {
  */
 export async function getPageInfo(pageId, accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
+    await preflightPermissions("getPageInfo", accessToken, options);
     const {
       fields = "id,name,category,about,description,website,phone,emails,location,hours,fan_count,followers_count,checkins,were_here_count,talking_about_count,engagement",
       apiOptions = {},
@@ -64,7 +96,13 @@ export async function getPageInfo(pageId, accessToken, options = {}) {
 
 
 
-    return await graphAPI(pageId, accessToken, "GET", { fields }, apiOptions);
+    return await graphAPI(
+      pageId,
+      await resolvePageReadToken(pageId, accessToken, options),
+      "GET",
+      { fields: formatFields(fields) },
+      { signal: options.signal, ...apiOptions, client }
+    );
   } catch (error) {
     throw handleError(error, "getPageInfo", {
       pageId,
@@ -103,16 +141,19 @@ export async function getManagedPage(pageId, accessToken, options = {}) {
  * Checks if user manages a specific page
  * @param {string} pageId - Facebook Page ID to check
  * @param {string} accessToken - User's access token
+ * @param {object} [options={}] - Query options
  * @returns {Promise<boolean>} Whether user manages the page
  */
-export async function managesPage(pageId, accessToken) {
+export async function managesPage(pageId, accessToken, options = {}) {
   try {
     const page = await getManagedPage(pageId, accessToken, {
+      ...options,
       fields: "id"
     });
     return page !== null;
   } catch (error) {
-
+    // A cancelled call rejects instead of answering "no"
+    if (error instanceof FacebookAbortError) throw error;
     return false;
   }
 }
@@ -121,13 +162,15 @@ export async function managesPage(pageId, accessToken) {
  * Fetches pages owned by the user (pages where user has MANAGE task)
  * @param {string} accessToken - User's access token
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of pages to fetch
  * @returns {Promise<object>} List of owned pages and associated access tokens
  */
 export async function fetchOwnedPages(accessToken, options = {}) {
   try {
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions("fetchOwnedPages", accessToken, options);
     const {
       fields = config.defaultFields.pages,
       limit,
@@ -138,16 +181,17 @@ export async function fetchOwnedPages(accessToken, options = {}) {
     if (limit != null) assertPositiveInteger(limit, "options.limit");
 
     // Build query parameters - ensure tasks field is included
-    const fieldsWithTasks = fields.includes('tasks') ? fields : `${fields},tasks`;
+    const fieldString = formatFields(fields);
+    const fieldsWithTasks = fieldString.includes('tasks') ? fieldString : `${fieldString},tasks`;
     const params = { fields: fieldsWithTasks };
     if (limit) params.limit = limit;
 
     const response = await graphAPI(
       "me/accounts",
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       "GET",
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
     // Filter pages where user has MANAGE task (typically owned pages)
@@ -167,13 +211,15 @@ export async function fetchOwnedPages(accessToken, options = {}) {
  * Fetches client pages (pages where user has ADVERTISE task but not MANAGE)
  * @param {string} accessToken - User's access token
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of pages to fetch
  * @returns {Promise<object>} List of client pages and associated access tokens
  */
 export async function fetchClientPages(accessToken, options = {}) {
   try {
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions("fetchClientPages", accessToken, options);
     const {
       fields = config.defaultFields.pages,
       limit,
@@ -184,16 +230,17 @@ export async function fetchClientPages(accessToken, options = {}) {
     if (limit != null) assertPositiveInteger(limit, "options.limit");
 
     // Build query parameters - ensure tasks field is included
-    const fieldsWithTasks = fields.includes('tasks') ? fields : `${fields},tasks`;
+    const fieldString = formatFields(fields);
+    const fieldsWithTasks = fieldString.includes('tasks') ? fieldString : `${fieldString},tasks`;
     const params = { fields: fieldsWithTasks };
     if (limit) params.limit = limit;
 
     const response = await graphAPI(
       "me/accounts",
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       "GET",
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
 
     // Filter pages where user has ADVERTISE task but not MANAGE (client pages)
@@ -215,13 +262,15 @@ export async function fetchClientPages(accessToken, options = {}) {
  * Fetches pages managed by the user (all pages with any management task)
  * @param {string} accessToken - User's access token
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of pages to fetch
  * @returns {Promise<object>} List of managed pages and associated access tokens
  */
 export async function fetchManagedPages(accessToken, options = {}) {
   try {
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions("fetchManagedPages", accessToken, options);
     const {
       fields = config.defaultFields.pages,
       limit,
@@ -232,15 +281,15 @@ export async function fetchManagedPages(accessToken, options = {}) {
     if (limit != null) assertPositiveInteger(limit, "options.limit");
 
     // Build query parameters
-    const params = { fields };
+    const params = { fields: formatFields(fields) };
     if (limit) params.limit = limit;
 
     return await graphAPI(
       "me/accounts",
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       "GET",
       params,
-      apiOptions
+      { signal: options.signal, ...apiOptions, client }
     );
   } catch (error) {
     throw handleError(error, "fetchManagedPages", { options });
@@ -252,9 +301,11 @@ export async function fetchManagedPages(accessToken, options = {}) {
  * This combines all pages the user has access to regardless of task type
  * @param {string} accessToken - User's access token
  * @param {object} [options={}] - Query options
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder
  * @param {number} [options.limit] - Maximum number of pages to fetch per type
  * @param {boolean} [options.deduplicate=true] - Whether to deduplicate pages across types
+ * @param {string|number} [options.priority='normal'] - Task queue priority
+ * @param {AbortSignal} [options.signal] - Cancels the requests
  * @returns {Promise<object>} Combined list of all pages with type indicators
  */
 export async function fetchAllPages(accessToken, options = {}) {
@@ -263,18 +314,25 @@ export async function fetchAllPages(accessToken, options = {}) {
       fields,
       limit,
       deduplicate = true,
+      priority,
       apiOptions = {},
+      client,
+      signal,
     } = options;
 
     assertObject(options, "options");
     if (limit != null) assertPositiveInteger(limit, "options.limit");
 
-    // Fetch all page types in parallel
-    const [ownedPages, clientPages, managedPages] = await Promise.all([
-      fetchOwnedPages(accessToken, { fields, limit, apiOptions }).catch(() => ({ data: [] })),
-      fetchClientPages(accessToken, { fields, limit, apiOptions }).catch(() => ({ data: [] })),
-      fetchManagedPages(accessToken, { fields, limit, apiOptions }).catch(() => ({ data: [] })),
-    ]);
+    // Fetch all page types in parallel through the task queue
+    const [ownedPages, clientPages, managedPages] = await mapWithQueue(
+      [fetchOwnedPages, fetchClientPages, fetchManagedPages],
+      (fetchPages) =>
+        fetchPages(accessToken, { fields, limit, apiOptions, client, signal }).catch((error) => {
+          if (error instanceof FacebookAbortError) throw error;
+          return { data: [] };
+        }),
+      { client, priority, accessToken, signal }
+    );
 
     // Combine all pages
     const allPages = [];
@@ -0,0 +1,125 @@
+// src/pagination.js
+import { graphAPI } from './graph.js';
+import { resolveContext } from './context.js';
+import { handleError } from './errors.js';
+import { assertString, assertPositiveInteger, assertObject, throwIfAborted } from './utils.js';
+
+/**
+ * Works out the params of the next page from a Graph API `paging` object.
+ * Cursor pagination uses `paging.cursors.after`; time or offset based edges only
+ * provide `paging.next`, whose query (until, since, offset, __paging_token...) is reused.
+ * @param {object} paging - `paging` object of a response
+ * @param {object} params - Params of the current page
+ * @returns {object|null} Params of the next page, or null on the last page
+ */
+export function getNextPageParams(paging, params) {
+  if (!paging || !paging.next) {
+    return null;
+  }
+
+  if (paging.cursors && paging.cursors.after) {
+    return { ...params, after: paging.cursors.after };
+  }
+
+  try {
+    const nextParams = { ...params };
+    new URL(paging.next).searchParams.forEach((value, key) => {
+      if (key !== 'access_token') nextParams[key] = value;
+    });
+    return nextParams;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Iterates over every item of a paginated Graph API edge, page by page
+ * @param {string} endpoint - Edge endpoint (e.g. `${pageId}/posts`)
+ * @param {string} [accessToken] - Access token (auto-resolved when omitted)
+ * @param {object} [params={}] - Query params of the first page (fields, limit...)
+ * @param {object} [options={}] - Pagination options
+ * @param {number} [options.maxItems] - Stop after this many items
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @param {number} [options.maxDuration] - Stop requesting new pages after this many ms
+ * @param {boolean} [options.pages=false] - Yield whole page responses instead of items
+ * @param {object} [options.apiOptions] - Graph API options for every page request
+ * @param {AbortSignal} [options.signal] - Stops the iteration and cancels the page in flight
+ * @returns {AsyncGenerator<object>} Items (or page responses)
+ */
+export async function* paginate(endpoint, accessToken, params = {}, options = {}) {
+  assertString(endpoint, 'endpoint');
+  assertObject(params, 'params');
+  assertObject(options, 'options');
+
+  const {
+    maxItems,
+    maxPages,
+    maxDuration,
+    pages = false,
+    apiOptions = {}
+  } = options;
+
+  assertPositiveInteger(maxItems, 'options.maxItems');
+  assertPositiveInteger(maxPages, 'options.maxPages');
+  assertPositiveInteger(maxDuration, 'options.maxDuration');
+
+  const client = resolveContext(options);
+  const startedAt = Date.now();
+  const seenCursors = new Set();
+  let pageParams = { ...params };
+  let pageCount = 0;
+  let itemCount = 0;
+
+  try {
+    const token = await client.resolveAccessToken(accessToken);
+
+    while (pageParams) {
+      throwIfAborted(options.signal);
+      const response = await graphAPI(endpoint, token, 'GET', pageParams, { signal: options.signal, ...apiOptions, client });
+      pageCount++;
+
+      const items = Array.isArray(response?.data) ? response.data : [];
+
+      if (pages) {
+        yield response;
+        itemCount += items.length;
+      } else {
+        for (const item of items) {
+          yield item;
+          itemCount++;
+          if (maxItems && itemCount >= maxItems) return;
+        }
+      }
+
+      if (items.length === 0) return;
+      if (maxItems && itemCount >= maxItems) return;
+      if (maxPages && pageCount >= maxPages) return;
+      if (maxDuration && Date.now() - startedAt >= maxDuration) return;
+
+      pageParams = getNextPageParams(response.paging, pageParams);
+
+      // Guard against edges that hand back the same page forever
+      const cursor = pageParams && JSON.stringify(pageParams);
+      if (cursor && seenCursors.has(cursor)) return;
+      if (cursor) seenCursors.add(cursor);
+    }
+  } catch (error) {
+    throw handleError(error, 'paginate', { endpoint, pageCount, itemCount });
+  }
+}
+
+/**
+ * Collects every item of a paginated edge into an array
+ * @param {string} endpoint - Edge endpoint
+ * @param {string} [accessToken] - Access token (auto-resolved when omitted)
+ * @param {object} [params={}] - Query params of the first page
+ * @param {object} [options={}] - Same options as paginate()
+ * @returns {Promise<Array>} All items
+ */
+export async function collectAll(endpoint, accessToken, params = {}, options = {}) {
+  const items = [];
+  for await (const item of paginate(endpoint, accessToken, params, options)) {
+    items.push(item);
+  }
+  return items;
+}
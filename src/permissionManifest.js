@@ -0,0 +1,98 @@
+// src/permissionManifest.js
+
+/**
+ * Permissions each exported function needs, from Facebook's documentation of the
+ * endpoints it calls. Used to fill `missingPermissions` on permission errors
+ * (codes 10 and 200-299) and by the opt-in preflight check (see src/permissions.js).
+ */
+
+const PAGES_LIST = ['pages_show_list'];
+const PAGE_CONTENT = ['pages_read_engagement'];
+const PAGE_ENGAGEMENT = ['pages_read_engagement', 'pages_read_user_content'];
+const PAGE_PUBLISHING = ['pages_manage_posts', 'pages_read_engagement', 'pages_show_list'];
+const LEAD_FORMS = ['leads_retrieval', 'pages_manage_ads', 'pages_read_engagement', 'pages_show_list'];
+const LEADS = ['leads_retrieval', 'pages_manage_ads', 'pages_show_list'];
+
+export const PERMISSION_MANIFEST = {
+  getProfile: ['public_profile'],
+  getBasicProfile: ['public_profile'],
+  getProfilePicture: ['public_profile'],
+
+  getPages: PAGES_LIST,
+  iteratePages: PAGES_LIST,
+  getManagedPage: PAGES_LIST,
+  managesPage: PAGES_LIST,
+  fetchOwnedPages: PAGES_LIST,
+  fetchClientPages: PAGES_LIST,
+  fetchManagedPages: PAGES_LIST,
+  fetchAllPages: PAGES_LIST,
+  getPageInfo: PAGE_CONTENT,
+
+  getPagePosts: PAGE_CONTENT,
+  iteratePagePosts: PAGE_CONTENT,
+  getPostDetails: PAGE_CONTENT,
+
+  uploadPagePhoto: PAGE_PUBLISHING,
+  uploadPageVideo: PAGE_PUBLISHING,
+
+  getLeadForms: LEAD_FORMS,
+  iterateLeadForms: LEAD_FORMS,
+  getLeadFormDetails: LEAD_FORMS,
+  getActiveLeadForms: LEAD_FORMS,
+  getLeadFormsFromMultiplePages: LEAD_FORMS,
+  getLeadFormStats: LEAD_FORMS,
+
+  getLeads: LEADS,
+  getAllLeads: LEADS,
+  getLeadsFromMultipleForms: LEADS,
+  getRecentLeads: LEADS,
+  getLeadStats: LEADS,
+
+  getComments: PAGE_ENGAGEMENT,
+  iterateComments: PAGE_ENGAGEMENT,
+  getLikes: PAGE_ENGAGEMENT,
+  iterateLikes: PAGE_ENGAGEMENT
+};
+
+/**
+ * Permissions Facebook names in its error messages
+ */
+const KNOWN_PERMISSIONS = new Set([
+  'public_profile',
+  'email',
+  'pages_show_list',
+  'pages_read_engagement',
+  'pages_read_user_content',
+  'pages_manage_posts',
+  'pages_manage_engagement',
+  'pages_manage_metadata',
+  'pages_manage_ads',
+  'pages_messaging',
+  'leads_retrieval',
+  'read_insights',
+  'ads_management',
+  'ads_read',
+  'business_management',
+  'instagram_basic',
+  'instagram_content_publish'
+]);
+
+/**
+ * Gets the permissions a function needs
+ * @param {string} functionName - Exported function name (e.g. 'getLeads')
+ * @returns {Array<string>} Permissions (empty when the function needs none or is unknown)
+ */
+export function getRequiredPermissions(functionName) {
+  return [...(PERMISSION_MANIFEST[functionName] || [])];
+}
+
+/**
+ * Finds the permissions a Facebook error message names,
+ * e.g. "(#200) Requires either pages_read_engagement or pages_manage_metadata permission"
+ * @param {string} [message] - Error message
+ * @returns {Array<string>} Permissions named in the message
+ */
+export function extractPermissions(message = '') {
+  const words = String(message).match(/[a-z_]+/g) || [];
+  return [...new Set(words.filter((word) => KNOWN_PERMISSIONS.has(word)))];
+}
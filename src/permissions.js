@@ -1,28 +1,46 @@
 // src/permissions.js
 import { graphAPI } from "./graph.js";
-import { FacebookPermissionError, handleError, logError } from "./errors.js";
-import { resolveAccessToken } from "./utils.js";
+import { FacebookPermissionError, handleError, logError, isNotUserTokenError } from "./errors.js";
+import { resolveContext } from "./context.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { hashToken } from "./cache.js";
+import { getRequiredPermissions } from "./permissionManifest.js";
+import { loginWithFacebook } from "./auth.js";
+
+/**
+ * Granted permissions per client context, keyed by token hash:
+ * { fetchedAt, granted } where granted is null for tokens without permissions (page tokens)
+ */
+const grantedPermissions = new WeakMap();
+
+/**
+ * Extracts the permission entries of a fetchAllPermissions response
+ * @param {object} full - Raw response
+ * @returns {Array<object>} Entries like { permission, status }
+ */
+function permissionEntries(full) {
+  return full && full.permissions && Array.isArray(full.permissions.data)
+    ? full.permissions.data
+    : full && Array.isArray(full.data)
+    ? full.data
+    : [];
+}
 
 
 /**
  * Gets all granted permissions for the current user
  * @param {string} [accessToken] - Access token
+ * @param {object} [options={}] - Additional options (apiOptions, client)
  * @returns {Promise<Array>} Array of granted permission strings
  */
-export async function getAllPermissions(accessToken = null) {
+export async function getAllPermissions(accessToken = null, options = {}) {
   try {
-    const full = await fetchAllPermissions(accessToken);
-    const data =
-      full && full.permissions && Array.isArray(full.permissions.data)
-        ? full.permissions.data
-        : full && Array.isArray(full.data)
-        ? full.data
-        : [];
-    return data
+    const full = await fetchAllPermissions(accessToken, options);
+    return permissionEntries(full)
       .filter((perm) => perm.status === "granted")
       .map((perm) => perm.permission);
   } catch (error) {
-    logError(error);
+    logError(error, resolveContext(options).getConfig().logger);
     throw error;
   }
 }
@@ -31,22 +49,17 @@ export async function getAllPermissions(accessToken = null) {
 /**
  * Gets all non-granted permissions for the current user
  * @param {string} [accessToken] - Access token
+ * @param {object} [options={}] - Additional options (apiOptions, client)
  * @returns {Promise<Array>} Array of required (not granted) permission strings
  */
-export async function getAllRequiredPermissions(accessToken = null) {
+export async function getAllRequiredPermissions(accessToken = null, options = {}) {
   try {
-    const full = await fetchAllPermissions(accessToken);
-    const data =
-      full && full.permissions && Array.isArray(full.permissions.data)
-        ? full.permissions.data
-        : full && Array.isArray(full.data)
-        ? full.data
-        : [];
-    return data
+    const full = await fetchAllPermissions(accessToken, options);
+    return permissionEntries(full)
       .filter((perm) => perm.status === "declined")
       .map((perm) => perm.permission);
   } catch (error) {
-    logError(error);
+    logError(error, resolveContext(options).getConfig().logger);
     throw error;
   }
 }
@@ -55,15 +68,21 @@ export async function getAllRequiredPermissions(accessToken = null) {
 /**
  * Fetches all permissions using fields="permissions"
  * @param {string} [accessToken] - Access token
+ * @param {object} [options={}] - Additional options (apiOptions, client)
  * @returns {Promise<object>} Raw response containing permissions
  */
-export async function fetchAllPermissions(accessToken = null) {
+export async function fetchAllPermissions(accessToken = null, options = {}) {
   try {
-    const token = await resolveAccessToken(accessToken);
+    const client = resolveContext(options);
+    const token = await client.resolveAccessToken(accessToken);
     // Use fields=permissions to fetch permissions as part of the user node
-    const response = await graphAPI("me", token, "GET", {
-      fields: "permissions",
-    });
+    const response = await graphAPI(
+      "me",
+      token,
+      "GET",
+      { fields: "permissions" },
+      { signal: options.signal, ...options.apiOptions, client }
+    );
     if (!response || (!response.permissions && !response.data)) {
       throw new FacebookPermissionError(
         "Invalid response when fetching permissions",
@@ -74,9 +93,210 @@ export async function fetchAllPermissions(accessToken = null) {
     return response;
   } catch (error) {
     const processedError = handleError(error, "fetchAllPermissions");
-    logError(processedError);
+    logError(processedError, resolveContext(options).getConfig().logger);
     throw processedError;
   }
 }
 
 
+/**
+ * Checks that a token holds the permissions a function needs (see PERMISSION_MANIFEST)
+ * before it calls the Graph API. Off by default: enable it with
+ * setConfig({ permissions: { preflight: true } }) or per call with `preflight: true`.
+ * Granted permissions are fetched once per token and kept for `permissions.ttl`;
+ * page tokens, which have no permissions edge, are not checked.
+ * @param {string} functionName - Exported function name (e.g. 'getLeads')
+ * @param {string} [accessToken] - Access token the function was called with
+ * @param {object} [options={}] - Options of the function call (preflight, signal, client)
+ * @returns {Promise<void>}
+ * @throws {FacebookPermissionError} MISSING_PERMISSIONS listing the permissions not granted
+ */
+export async function preflightPermissions(functionName, accessToken = null, options = {}) {
+  const client = resolveContext(options);
+  const settings = { ...DEFAULT_CONFIG.permissions, ...client.getConfig().permissions };
+  const enabled = options.preflight !== undefined ? options.preflight : settings.preflight;
+  const required = getRequiredPermissions(functionName);
+  if (!enabled || required.length === 0) return;
+
+  const token = await client.resolveAccessToken(accessToken);
+  if (!grantedPermissions.has(client)) {
+    grantedPermissions.set(client, new Map());
+  }
+  const cached = grantedPermissions.get(client);
+  const key = hashToken(token);
+
+  let entry = cached.get(key);
+  if (!entry || entry.fetchedAt + settings.ttl <= Date.now()) {
+    let granted;
+    try {
+      const response = await graphAPI(
+        "me",
+        token,
+        "GET",
+        { fields: "permissions" },
+        { signal: options.signal, cache: false, expectedError: isNotUserTokenError, client }
+      );
+      granted = permissionEntries(response)
+        .filter((perm) => perm.status === "granted")
+        .map((perm) => perm.permission);
+    } catch (error) {
+      // Page tokens have no permissions to check
+      if (!isNotUserTokenError(error)) throw error;
+      granted = null;
+    }
+    entry = { fetchedAt: Date.now(), granted };
+    cached.set(key, entry);
+  }
+  if (!entry.granted) return;
+
+  const missing = required.filter((permission) => !entry.granted.includes(permission));
+  if (missing.length > 0) {
+    const error = new FacebookPermissionError(
+      `${functionName} requires permissions that were not granted: ${missing.join(", ")}`,
+      missing,
+      "MISSING_PERMISSIONS"
+    );
+    error.requiredPermissions = required;
+    throw error;
+  }
+}
+
+
+/**
+ * Forgets the granted permissions fetched by the preflight check, e.g. after the user
+ * granted more permissions
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ */
+export function clearPermissionCache(options = {}) {
+  grantedPermissions.delete(resolveContext(options));
+}
+
+
+/**
+ * Normalizes a scope list
+ * @param {string|Array<string>} scopes - Comma-separated string or array
+ * @returns {Array<string>} Unique, trimmed scopes
+ */
+function toScopeList(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || "").split(",");
+  return [...new Set(list.map((scope) => String(scope).trim()).filter(Boolean))];
+}
+
+
+/**
+ * Sorts requested scopes by their status for a token
+ * @param {Array<string>} scopes - Requested scopes
+ * @param {object} full - fetchAllPermissions response
+ * @returns {object} { granted, declined, missing } (declined scopes are also missing)
+ */
+function classifyScopes(scopes, full) {
+  const status = new Map(permissionEntries(full).map((perm) => [perm.permission, perm.status]));
+  const granted = scopes.filter((scope) => status.get(scope) === "granted");
+  return {
+    granted,
+    declined: scopes.filter((scope) => status.get(scope) === "declined"),
+    missing: scopes.filter((scope) => !granted.includes(scope))
+  };
+}
+
+
+/**
+ * Makes sure the user granted a set of permissions, opening the login dialog
+ * (with auth_type=rerequest, so declined permissions are asked again) for the missing
+ * ones only. A new token from the dialog replaces the cached user token unless
+ * `accessToken` was given.
+ * @param {string|Array<string>} scopes - Permissions the app needs
+ * @param {object} [options={}] - Options
+ * @param {boolean} [options.prompt=true] - Open the login dialog when permissions are missing
+ * @param {string} [options.accessToken] - User access token (auto-resolved when omitted)
+ * @param {object} [options.apiOptions] - Graph API options for the permission lookups
+ * @param {AbortSignal} [options.signal] - Cancels the permission lookups
+ * @returns {Promise<object>} { granted, declined, missing, prompted, accessToken } where
+ *   declined and missing list the requested permissions still not granted
+ * @throws {FacebookSDKError} When prompting without the SDK loaded
+ */
+export async function ensurePermissions(scopes, options = {}) {
+  const client = resolveContext(options);
+  const { prompt = true, accessToken, apiOptions = {} } = options;
+  const requested = toScopeList(scopes);
+  const lookupOptions = { client, signal: options.signal, apiOptions: { cache: false, ...apiOptions } };
+
+  let token = await client.resolveAccessToken(accessToken);
+  let result = classifyScopes(requested, await fetchAllPermissions(token, lookupOptions));
+
+  if (result.missing.length === 0 || !prompt) {
+    return { ...result, prompted: false, accessToken: token };
+  }
+
+  let login;
+  try {
+    login = await loginWithFacebook(result.missing, { rerequest: true, client });
+  } catch (error) {
+    // Closing the dialog leaves the permissions missing
+    if (error.code !== "AUTH_CANCELLED" && error.code !== "AUTH_DENIED") throw error;
+    return { ...result, prompted: true, accessToken: token };
+  }
+
+  if (login.accessToken && login.accessToken !== token) {
+    token = login.accessToken;
+    if (!accessToken) {
+      await client.setAccessToken(token, login.expiresIn);
+    }
+  }
+  clearPermissionCache({ client });
+
+  result = classifyScopes(requested, await fetchAllPermissions(token, lookupOptions));
+  return { ...result, prompted: true, accessToken: token };
+}
+
+/**
+ * Permission error codes caused by permissions the user can grant in the login dialog.
+ * NOT_LOGGED_IN and PAGE_NOT_ACCESSIBLE also list permissions, but asking for them cannot help.
+ */
+const PROMPTABLE_CODES = ['PERMISSION_DENIED', 'MISSING_PERMISSIONS'];
+
+/**
+ * Whether asking the user for the error's missing permissions can fix it
+ * @param {Error} error - Error of the call
+ * @returns {boolean} True for permission errors naming missing permissions
+ */
+function isPromptable(error) {
+  return error instanceof FacebookPermissionError &&
+    PROMPTABLE_CODES.includes(error.code) &&
+    Array.isArray(error.missingPermissions) &&
+    error.missingPermissions.length > 0;
+}
+
+/**
+ * Runs a call and, when it fails with a permission error naming missing permissions,
+ * asks the user for them with ensurePermissions and runs it once more
+ * @param {Function} call - async () => result, e.g. () => getLeads(formId)
+ * @param {object} [options={}] - ensurePermissions options
+ * @param {string|Array<string>} [options.scopes] - Permissions to ask for instead of the
+ *   error's missingPermissions
+ * @returns {Promise<any>} Result of the call
+ * @throws {FacebookPermissionError} The original error, with `permissionResult` set, when
+ *   the permissions are still missing
+ */
+export async function withPermissions(call, options = {}) {
+  if (typeof call !== "function") {
+    throw new TypeError("call must be a function");
+  }
+
+  try {
+    return await call();
+  } catch (error) {
+    if (!isPromptable(error)) throw error;
+
+    const { scopes, ...ensureOptions } = options;
+    const needed = scopes ? toScopeList(scopes) : error.missingPermissions;
+
+    const result = await ensurePermissions(needed, ensureOptions);
+    if (result.missing.length > 0) {
+      error.permissionResult = result;
+      throw error;
+    }
+    return await call();
+  }
+}
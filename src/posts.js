@@ -1,16 +1,19 @@
 // src/posts.js
 import { graphAPI } from './graph.js';
-import { getConfig } from './config.js';
+import { resolvePageReadToken, paginateWithPageReadToken, resolvePostAccessToken } from './pageTokens.js';
+import { resolveContext } from './context.js';
+import { preflightPermissions } from './permissions.js';
 import { handleError } from './errors.js';
-import { resolveAccessToken, assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { assertString, assertPositiveInteger, assertObject } from './utils.js';
+import { formatFields } from './fields.js';
 
 /**
  * Fetches recent posts from a Facebook Page with enhanced options
  * @param {string} pageId - The Facebook Page ID
- * @param {string} pageAccessToken - Page access token
+ * @param {string} pageAccessToken - Page access token, or a user token managing the page
  * @param {object} [options={}] - Query options
  * @param {number} [options.limit=10] - Maximum number of posts to fetch
- * @param {string} [options.fields] - Comma-separated list of fields
+ * @param {string|object} [options.fields] - Comma-separated list of fields or a fields builder
  * @param {string} [options.since] - ISO date string to filter posts since
  * @param {string} [options.until] - ISO date string to filter posts until
 
@@ -19,7 +22,9 @@ import { resolveAccessToken, assertString, assertPositiveInteger, assertObject }
 export async function getPagePosts(pageId, pageAccessToken, options = {}) {
   try {
     assertString(pageId, 'pageId');
-    const config = getConfig();
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions('getPagePosts', pageAccessToken, options);
 
     const {
       limit = 10,
@@ -35,15 +40,16 @@ export async function getPagePosts(pageId, pageAccessToken, options = {}) {
 
 
 
-    const params = { fields, limit };
+    const params = { fields: formatFields(fields), limit };
     if (since) params.since = since;
     if (until) params.until = until;
 
     return await graphAPI(
       `${pageId}/posts`,
-      pageAccessToken,
+      await resolvePageReadToken(pageId, pageAccessToken, options),
       'GET',
-      params
+      params,
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
@@ -56,6 +62,40 @@ export async function getPagePosts(pageId, pageAccessToken, options = {}) {
 }
 
 
+/**
+ * Iterates over all posts of a Facebook Page, following pagination
+ * @param {string} pageId - The Facebook Page ID
+ * @param {string} pageAccessToken - Page access token, or a user token managing the page
+ * @param {object} [options={}] - Query and pagination options
+ * @param {number} [options.limit=25] - Posts per page
+ * @param {string|object} [options.fields] - Comma-separated list of fields or a fields builder
+ * @param {string} [options.since] - ISO date string to filter posts since
+ * @param {string} [options.until] - ISO date string to filter posts until
+ * @param {number} [options.maxItems] - Stop after this many posts
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @param {number} [options.maxDuration] - Stop after this many ms
+ * @returns {AsyncGenerator<object>} Posts
+ */
+export function iteratePagePosts(pageId, pageAccessToken, options = {}) {
+  assertString(pageId, 'pageId');
+  assertObject(options, 'options');
+  const config = resolveContext(options).getConfig();
+
+  const {
+    limit = 25,
+    fields = config.defaultFields.posts,
+    since,
+    until,
+    ...paginationOptions
+  } = options;
+
+  const params = { fields: formatFields(fields), limit };
+  if (since) params.since = since;
+  if (until) params.until = until;
+
+  return paginateWithPageReadToken(pageId, `${pageId}/posts`, pageAccessToken, params, paginationOptions);
+}
+
 /**
  * Fetches detailed information about a specific post
  * @param {string} postId - Facebook post ID
@@ -66,6 +106,8 @@ export async function getPagePosts(pageId, pageAccessToken, options = {}) {
 export async function getPostDetails(postId, accessToken, options = {}) {
   try {
     assertString(postId, 'postId');
+    const client = resolveContext(options);
+    await preflightPermissions('getPostDetails', accessToken, options);
     const {
       fields = 'id,message,created_time,full_picture,attachments{media},shares,likes.summary(true),comments.summary(true)',
 
@@ -76,9 +118,10 @@ export async function getPostDetails(postId, accessToken, options = {}) {
 
     return await graphAPI(
       postId,
-      await resolveAccessToken(accessToken),
+      await resolvePostAccessToken(postId, accessToken, options),
       'GET',
-      { fields }
+      { fields: formatFields(fields) },
+      { signal: options.signal, ...apiOptions, client }
     );
 
   } catch (error) {
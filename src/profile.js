@@ -1,30 +1,34 @@
 // src/profile.js
 import { graphAPI } from './graph.js';
-import { getConfig } from './config.js';
+import { resolveContext } from './context.js';
+import { preflightPermissions } from './permissions.js';
 import { handleError } from './errors.js';
-import { resolveAccessToken, assertObject } from './utils.js';
+import { assertObject } from './utils.js';
+import { formatFields, isFieldBuilder } from './fields.js';
 
 /**
  * Fetches the current user's Facebook profile with configurable fields
  * @param {string} accessToken - Facebook access token
- * @param {string|object} [options] - Fields string or options object
- * @param {string} [options.fields] - Comma-separated fields to request
+ * @param {string|object} [options] - Fields string, fields builder or options object
+ * @param {string|object} [options.fields] - Comma-separated fields or a fields builder (see fields())
 
  * @param {object} [options.apiOptions] - Additional options for Graph API call
  * @returns {Promise<object>} Facebook user profile data
  */
 export async function getProfile(accessToken, options = {}) {
   try {
-    const config = getConfig();
-    
-    // Handle backward compatibility - if options is a string, treat it as fields
+    // Handle backward compatibility - if options is a string (or a fields builder), treat it as fields
     let settings;
-    if (typeof options === 'string') {
+    if (typeof options === 'string' || isFieldBuilder(options)) {
       settings = { fields: options };
     } else {
       settings = options;
     }
 
+    const client = resolveContext(settings);
+    const config = client.getConfig();
+    await preflightPermissions('getProfile', accessToken, settings);
+
     const {
       fields = config.defaultFields.profile,
       apiOptions = {}
@@ -38,10 +42,10 @@ export async function getProfile(accessToken, options = {}) {
     // Fetch profile data
     const profileData = await graphAPI(
       'me',
-      await resolveAccessToken(accessToken),
+      await client.resolveAccessToken(accessToken),
       'GET',
-      { fields },
-      apiOptions
+      { fields: formatFields(fields) },
+      { signal: options.signal, ...apiOptions, client }
     );
 
     return profileData;
@@ -67,11 +71,14 @@ export async function getProfile(accessToken, options = {}) {
  */
 export async function getProfilePicture(accessToken, options = {}) {
   try {
+    const client = resolveContext(options);
+    await preflightPermissions('getProfilePicture', accessToken, options);
     const {
       width = 200,
       height = 200,
       type = 'normal',
-      redirect = false
+      redirect = false,
+      apiOptions = {}
     } = options;
 
     const params = {
@@ -83,9 +90,10 @@ export async function getProfilePicture(accessToken, options = {}) {
 
     const pictureData = await graphAPI(
       'me/picture',
-      accessToken,
+      await client.resolveAccessToken(accessToken),
       'GET',
-      params
+      params,
+      { signal: options.signal, ...apiOptions, client }
     );
 
     return pictureData;
@@ -102,10 +110,12 @@ export async function getProfilePicture(accessToken, options = {}) {
 /**
  * Fetches basic user info (id, name) - minimal permissions required
  * @param {string} accessToken - Facebook access token
+ * @param {object} [options={}] - Additional options (apiOptions, client)
  * @returns {Promise<object>} Basic user info
  */
-export async function getBasicProfile(accessToken) {
+export async function getBasicProfile(accessToken, options = {}) {
   return await getProfile(accessToken, {
+    ...options,
     fields: 'id,name'
   });
 }
@@ -0,0 +1,266 @@
+// src/queue.js
+import { DEFAULT_CONFIG } from './config.js';
+import { resolveContext } from './context.js';
+import { hashToken } from './cache.js';
+import { createAbortError } from './utils.js';
+
+/**
+ * Named priority levels; numbers are accepted as well (higher runs first)
+ */
+export const TASK_PRIORITY = {
+  high: 10,
+  normal: 0,
+  low: -10
+};
+
+/**
+ * Shared queues, one per client context
+ */
+const sharedQueues = new WeakMap();
+
+function toPriority(priority = 'normal') {
+  if (typeof priority === 'number') return priority;
+  if (priority in TASK_PRIORITY) return TASK_PRIORITY[priority];
+  throw new TypeError(`priority must be a number or one of ${Object.keys(TASK_PRIORITY).join(', ')}`);
+}
+
+/**
+ * Creates a task queue with bounded concurrency.
+ * Waiting tasks run by priority; within a priority, keys (e.g. access tokens) take
+ * turns so one tenant's fan-out cannot starve another's.
+ * @param {object} [options={}] - Queue options
+ * @param {number} [options.concurrency=5] - Max tasks running at once
+ * @param {number} [options.perKeyConcurrency=Infinity] - Max running tasks per key
+ * @param {Function} [options.onProgress] - Called with { running, waiting, completed, failed } after each task
+ * @returns {object} Queue with add, addAll, onIdle, getStats, setConcurrency and setPerKeyConcurrency
+ */
+export function createTaskQueue(options = {}) {
+  const { onProgress } = options;
+  let { concurrency = 5, perKeyConcurrency = Infinity } = options;
+
+  const waiting = [];
+  const runningByKey = new Map();
+  const lastServed = new Map();
+  let idleWaiters = [];
+  let running = 0;
+  let completed = 0;
+  let failed = 0;
+  let dispatchCount = 0;
+
+  const getStats = () => ({ running, waiting: waiting.length, completed, failed });
+
+  // Index of the next task to run: highest priority, then least recently served key, then FIFO
+  const pickNext = () => {
+    let best = -1;
+    for (let i = 0; i < waiting.length; i++) {
+      const item = waiting[i];
+      if ((runningByKey.get(item.key) || 0) >= perKeyConcurrency) continue;
+      if (best === -1) {
+        best = i;
+        continue;
+      }
+
+      const current = waiting[best];
+      if (item.priority !== current.priority) {
+        if (item.priority > current.priority) best = i;
+        continue;
+      }
+      const itemServed = lastServed.has(item.key) ? lastServed.get(item.key) : -1;
+      const currentServed = lastServed.has(current.key) ? lastServed.get(current.key) : -1;
+      if (itemServed < currentServed) best = i;
+    }
+    return best;
+  };
+
+  const settle = (item) => {
+    running--;
+    runningByKey.set(item.key, runningByKey.get(item.key) - 1);
+    if (onProgress) onProgress(getStats());
+    dispatch();
+  };
+
+  const dispatch = () => {
+    while (running < concurrency) {
+      const index = pickNext();
+      if (index === -1) break;
+
+      const [item] = waiting.splice(index, 1);
+      running++;
+      runningByKey.set(item.key, (runningByKey.get(item.key) || 0) + 1);
+      lastServed.set(item.key, dispatchCount++);
+
+      Promise.resolve()
+        .then(item.task)
+        .then(
+          (value) => {
+            completed++;
+            item.resolve(value);
+          },
+          (error) => {
+            failed++;
+            item.reject(error);
+          }
+        )
+        .finally(() => settle(item));
+    }
+
+    if (running === 0 && waiting.length === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  };
+
+  return {
+    /**
+     * Adds a task
+     * @param {Function} task - async () => result
+     * @param {object} [taskOptions={}] - { priority: 'high'|'normal'|'low'|number, key, signal }.
+     *   Aborting `signal` drops the task if it has not started yet.
+     * @returns {Promise<any>} Result of the task
+     */
+    add(task, taskOptions = {}) {
+      if (typeof task !== 'function') {
+        throw new TypeError('task must be a function');
+      }
+      const { priority, key = 'default', signal } = taskOptions;
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(createAbortError(signal));
+          return;
+        }
+
+        const item = { task, priority: toPriority(priority), key, resolve, reject };
+        if (signal) {
+          const onAbort = () => {
+            const index = waiting.indexOf(item);
+            if (index === -1) return;
+            waiting.splice(index, 1);
+            reject(createAbortError(signal));
+            dispatch();
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          item.resolve = (value) => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+          };
+          item.reject = (error) => {
+            signal.removeEventListener('abort', onAbort);
+            reject(error);
+          };
+        }
+
+        waiting.push(item);
+        dispatch();
+      });
+    },
+
+    /**
+     * Adds several tasks with the same options
+     * @param {Array<Function>} tasks - Tasks
+     * @param {object} [taskOptions={}] - Same as add()
+     * @returns {Promise<Array>} Results in task order
+     */
+    addAll(tasks, taskOptions = {}) {
+      return Promise.all(tasks.map((task) => this.add(task, taskOptions)));
+    },
+
+    /**
+     * Resolves once no task is running or waiting
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+      if (running === 0 && waiting.length === 0) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+
+    getStats,
+
+    setConcurrency(value) {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new TypeError('concurrency must be a positive integer');
+      }
+      concurrency = value;
+      dispatch();
+    },
+
+    setPerKeyConcurrency(value) {
+      if (value !== Infinity && (!Number.isInteger(value) || value <= 0)) {
+        throw new TypeError('perKeyConcurrency must be a positive integer or Infinity');
+      }
+      perKeyConcurrency = value;
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Gets the queue shared by the multi-resource helpers of a client
+ * (sized by the `queue` config: { concurrency, perKeyConcurrency })
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {object} Task queue
+ */
+export function getTaskQueue(options = {}) {
+  const client = resolveContext(options);
+  const settings = { ...DEFAULT_CONFIG.queue, ...client.getConfig().queue };
+
+  if (!sharedQueues.has(client)) {
+    sharedQueues.set(client, createTaskQueue(settings));
+  } else {
+    // Config may have changed since the queue was created
+    sharedQueues.get(client).setConcurrency(settings.concurrency);
+    sharedQueues.get(client).setPerKeyConcurrency(settings.perKeyConcurrency);
+  }
+  return sharedQueues.get(client);
+}
+
+/**
+ * Maps items through an async worker on a task queue. Used by the multi-resource helpers.
+ * Note: a task must not wait for other tasks of its own queue (e.g. calling a
+ * multi-resource helper from inside a shared-queue task); pass `options.queue` instead.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {object} [options={}] - Options
+ * @param {object} [options.queue] - Queue to use (defaults to the client's shared queue)
+ * @param {number} [options.concurrency] - Use a dedicated queue of this size instead
+ * @param {string|number} [options.priority='normal'] - Task priority
+ * @param {string} [options.accessToken] - Token the tasks run with (tasks of one token take turns with others)
+ * @param {Function} [options.onProgress] - Called with { completed, failed, total, item, error } after each item
+ * @param {AbortSignal} [options.signal] - Drops the items that have not started yet
+ * @returns {Promise<Array>} Results in item order
+ */
+export function mapWithQueue(items, worker, options = {}) {
+  const {
+    concurrency,
+    queue = concurrency ? createTaskQueue({ concurrency }) : getTaskQueue(options),
+    priority,
+    accessToken,
+    onProgress,
+    signal
+  } = options;
+
+  const key = hashToken(accessToken || '');
+  const total = items.length;
+  let completed = 0;
+  let failed = 0;
+
+  const report = (item, error) => {
+    if (onProgress) onProgress({ completed, failed, total, item, error: error || null });
+  };
+
+  return Promise.all(items.map((item, index) =>
+    queue.add(() => worker(item, index), { priority, key, signal }).then(
+      (value) => {
+        completed++;
+        report(item, null);
+        return value;
+      },
+      (error) => {
+        failed++;
+        report(item, error);
+        throw error;
+      }
+    )
+  ));
+}
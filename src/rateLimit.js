@@ -0,0 +1,293 @@
+// src/rateLimit.js
+import { DEFAULT_CONFIG } from './config.js';
+import { resolveContext } from './context.js';
+import { sleep, throwIfAborted, createAbortError } from './utils.js';
+
+/**
+ * Proactive rate limiting based on the usage headers Facebook sends with every response:
+ * X-App-Usage, X-Page-Usage (percentages of the hourly quota) and
+ * X-Business-Use-Case-Usage (per business, with estimated_time_to_regain_access in minutes).
+ *
+ * Once the highest usage that applies to a request reaches `rateLimit.throttleAt`, requests
+ * are queued and spaced out, up to `rateLimit.maxDelay` ms apart at `rateLimit.pauseAt` and above.
+ *
+ * App usage applies to every request. Page usage is kept per page and business use case
+ * usage per business: they only slow down requests to the object (a page, or any object
+ * whose responses reported that business) they were reported for.
+ */
+
+/**
+ * Usage state per client context
+ */
+const usageStates = new WeakMap();
+
+function getState(client) {
+  if (!usageStates.has(client)) {
+    usageStates.set(client, {
+      app: null,
+      appUpdatedAt: 0,
+      // Latest page usage, whatever the page (reported by getUsageState)
+      page: null,
+      // Page ID -> { usage, updatedAt }
+      pages: new Map(),
+      // Business ID -> { usages, updatedAt }
+      businesses: new Map(),
+      // Object ID -> Set of the business IDs its responses reported
+      targets: new Map(),
+      updatedAt: 0,
+      // Queue of throttled requests per object ID ('' for requests without one)
+      gates: new Map()
+    });
+  }
+  return usageStates.get(client);
+}
+
+/**
+ * Normalizes one usage object from a header
+ * @param {object} usage - Raw usage ({ call_count, total_cputime, total_time, ... })
+ * @returns {object} Normalized usage
+ */
+function normalizeUsage(usage = {}) {
+  return {
+    callCount: Number(usage.call_count) || 0,
+    totalCputime: Number(usage.total_cputime) || 0,
+    totalTime: Number(usage.total_time) || 0,
+    ...(usage.type && { type: usage.type }),
+    estimatedTimeToRegainAccess: Number(usage.estimated_time_to_regain_access) || 0
+  };
+}
+
+function parseJsonHeader(headers, name) {
+  const raw = headers.get(name);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses Facebook usage headers
+ * @param {Headers} headers - Response headers
+ * @returns {object} { app, page, businessUseCase } with null/empty when a header is absent
+ */
+export function parseUsageHeaders(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return { app: null, page: null, businessUseCase: {} };
+  }
+
+  const app = parseJsonHeader(headers, 'x-app-usage');
+  const page = parseJsonHeader(headers, 'x-page-usage');
+  const business = parseJsonHeader(headers, 'x-business-use-case-usage');
+
+  const businessUseCase = {};
+  if (business && typeof business === 'object') {
+    Object.keys(business).forEach((businessId) => {
+      const entries = Array.isArray(business[businessId]) ? business[businessId] : [business[businessId]];
+      businessUseCase[businessId] = entries.map(normalizeUsage);
+    });
+  }
+
+  return {
+    app: app ? normalizeUsage(app) : null,
+    page: page ? normalizeUsage(page) : null,
+    businessUseCase
+  };
+}
+
+/**
+ * Gets the ID of the object a request targets: the first path segment, with page post
+ * IDs (`<pageId>_<postId>`) reduced to their page
+ * @param {string} [endpoint] - Graph API endpoint
+ * @returns {string} Object ID, or '' when the endpoint has none
+ */
+export function usageTargetOf(endpoint) {
+  const segment = String(endpoint || '').replace(/^\/+/, '').split(/[/?]/)[0];
+  return segment.split('_')[0];
+}
+
+/**
+ * Records usage reported by a response
+ * @param {object} client - Client context
+ * @param {Headers} headers - Response headers
+ * @param {string} [endpoint] - Endpoint of the request, to attribute page and business usage
+ */
+export function recordUsage(client, headers, endpoint) {
+  const usage = parseUsageHeaders(headers);
+  const businessIds = Object.keys(usage.businessUseCase);
+  if (!usage.app && !usage.page && businessIds.length === 0) {
+    return;
+  }
+
+  const state = getState(client);
+  const target = usageTargetOf(endpoint);
+  const now = Date.now();
+
+  if (usage.app) {
+    state.app = usage.app;
+    state.appUpdatedAt = now;
+  }
+  if (usage.page) {
+    state.page = usage.page;
+    if (target) state.pages.set(target, { usage: usage.page, updatedAt: now });
+  }
+  businessIds.forEach((businessId) => {
+    state.businesses.set(businessId, { usages: usage.businessUseCase[businessId], updatedAt: now });
+  });
+  if (target && businessIds.length > 0) {
+    if (!state.targets.has(target)) state.targets.set(target, new Set());
+    businessIds.forEach((businessId) => state.targets.get(target).add(businessId));
+  }
+  state.updatedAt = now;
+}
+
+/**
+ * Collects the usages that apply to a request
+ * @param {object} state - Usage state
+ * @param {string|null} target - Object ID of the request, or null for every usage
+ * @param {number} [resetAfter=Infinity] - Readings older than this (ms) are ignored
+ * @returns {Array<object>} Normalized usages
+ */
+function usagesFor(state, target, resetAfter = Infinity) {
+  const now = Date.now();
+  const fresh = (updatedAt) => now - updatedAt <= resetAfter;
+  const usages = [];
+
+  if (state.app && fresh(state.appUpdatedAt)) usages.push(state.app);
+
+  const pages = target === null ? Array.from(state.pages.values()) : [state.pages.get(target)];
+  pages.forEach((entry) => {
+    if (entry && fresh(entry.updatedAt)) usages.push(entry.usage);
+  });
+
+  let businessIds;
+  if (target === null) {
+    businessIds = Array.from(state.businesses.keys());
+  } else {
+    businessIds = [target, ...(state.targets.get(target) || [])];
+  }
+  businessIds.forEach((businessId) => {
+    const entry = state.businesses.get(businessId);
+    if (entry && fresh(entry.updatedAt)) usages.push(...entry.usages);
+  });
+
+  return usages;
+}
+
+function summarize(usages) {
+  const maxUsage = usages.reduce(
+    (max, usage) => Math.max(max, usage.callCount, usage.totalCputime, usage.totalTime),
+    0
+  );
+  const regainAccessMs = usages.reduce(
+    (max, usage) => Math.max(max, usage.estimatedTimeToRegainAccess * 60 * 1000),
+    0
+  );
+  return { maxUsage, regainAccessMs };
+}
+
+/**
+ * Gets the latest usage reported by Facebook
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @param {string} [options.endpoint] - Limits maxUsage and regainAccessMs to the usage that
+ *   applies to this endpoint
+ * @returns {object} { app, page, pages, businessUseCase, maxUsage, regainAccessMs, updatedAt }
+ */
+export function getUsageState(options = {}) {
+  const state = getState(resolveContext(options));
+  const pages = {};
+  state.pages.forEach((entry, pageId) => {
+    pages[pageId] = { ...entry.usage };
+  });
+  const businessUseCase = {};
+  state.businesses.forEach((entry, businessId) => {
+    businessUseCase[businessId] = entry.usages.map((usage) => ({ ...usage }));
+  });
+  const target = options.endpoint !== undefined ? usageTargetOf(options.endpoint) : null;
+
+  return {
+    app: state.app && { ...state.app },
+    page: state.page && { ...state.page },
+    pages,
+    businessUseCase,
+    ...summarize(usagesFor(state, target)),
+    updatedAt: state.updatedAt
+  };
+}
+
+/**
+ * Resolves rate limit settings from config
+ * @param {object} config - Resolved configuration
+ * @returns {object} Rate limit settings
+ */
+export function getRateLimitSettings(config) {
+  return { ...DEFAULT_CONFIG.rateLimit, ...config.rateLimit };
+}
+
+/**
+ * Computes how long to wait before the next request
+ * @param {object} state - Usage state
+ * @param {object} settings - Rate limit settings
+ * @param {string} target - Object ID of the request
+ * @returns {number} Delay in ms
+ */
+function computeDelay(state, settings, target) {
+  const { throttleAt, pauseAt, maxDelay, resetAfter } = settings;
+
+  // Usage is a rolling one-hour window: old readings no longer apply
+  const { maxUsage, regainAccessMs } = summarize(usagesFor(state, target, resetAfter));
+  if (maxUsage < throttleAt) {
+    return 0;
+  }
+  if (maxUsage >= pauseAt) {
+    return regainAccessMs > 0 ? Math.min(regainAccessMs, maxDelay) : maxDelay;
+  }
+  return Math.round(maxDelay * ((maxUsage - throttleAt) / (pauseAt - throttleAt)));
+}
+
+/**
+ * Waits until usage allows another request. While usage is high, requests to the same
+ * object are queued so they go out one at a time, each one refreshing the usage state.
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @param {AbortSignal} [signal] - Stops waiting (rejects with FacebookAbortError)
+ * @param {string} [endpoint] - Endpoint of the request
+ * @returns {Promise<void>}
+ */
+export async function waitForCapacity(client, config, signal, endpoint) {
+  const settings = getRateLimitSettings(config);
+  if (settings.enabled === false) return;
+
+  throwIfAborted(signal);
+  const state = getState(client);
+  const target = usageTargetOf(endpoint);
+  if (computeDelay(state, settings, target) === 0) return;
+
+  const gate = state.gates.get(target) || Promise.resolve();
+  const turn = gate.then(() => sleep(computeDelay(state, settings, target), signal));
+  const next = turn.catch(() => {});
+  state.gates.set(target, next);
+  // Forget the queue once it drains
+  next.then(() => {
+    if (state.gates.get(target) === next) state.gates.delete(target);
+  });
+
+  if (!signal) {
+    await turn;
+    return;
+  }
+
+  // A cancelled caller leaves the line at once instead of waiting for its turn
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    await Promise.race([turn, aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,106 @@
+// src/retry.js
+import { DEFAULT_CONFIG } from './config.js';
+import { FacebookAbortError, isRetryableError, isRateLimitError } from './errors.js';
+
+/**
+ * Retry policy shared by graphAPI, batch items and upload chunks.
+ *
+ * Configure it with setConfig({ retryAttempts, retryDelay, retry: { jitter, maxDelay, shouldRetry } })
+ * or per call with apiOptions.retry. Each attempt gets its own timeout. Delays grow
+ * exponentially from retryDelay, honor Retry-After and, for rate limits, the regain time
+ * reported in usage headers, and are capped at maxDelay.
+ */
+
+export { TRANSIENT_ERROR_CODES, isRateLimitError } from './errors.js';
+
+/**
+ * Resolves the retry policy of a request
+ * @param {object} config - Resolved configuration
+ * @param {object} [options={}] - Graph API options (options.retry overrides the config)
+ * @returns {object} { jitter, maxDelay, shouldRetry }
+ */
+export function getRetrySettings(config, options = {}) {
+  return { ...DEFAULT_CONFIG.retry, ...config.retry, ...options.retry };
+}
+
+/**
+ * Whether an error is worth retrying: timeouts, network failures, Facebook's transient codes,
+ * errors flagged `is_transient`, server errors, rate limits and HTTP 429 (see error.isRetryable)
+ * @param {Error} error - Error
+ * @returns {boolean} True when retrying may succeed
+ */
+export function isTransientError(error) {
+  return isRetryableError(error);
+}
+
+/**
+ * Decides whether a failed attempt is retried. Cancellations never are.
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (1 for the first)
+ * @param {object} settings - Retry settings
+ * @returns {boolean} Whether to retry
+ */
+export function shouldRetryRequest(error, attempt, settings) {
+  if (error instanceof FacebookAbortError) {
+    return false;
+  }
+  if (typeof settings.shouldRetry === 'function') {
+    return Boolean(settings.shouldRetry(error, attempt));
+  }
+  return isTransientError(error);
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {Headers} [headers] - Response headers
+ * @returns {number|null} Delay in ms, or null when absent
+ */
+export function parseRetryAfter(headers) {
+  const value = headers && typeof headers.get === 'function' ? headers.get('retry-after') : null;
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Applies jitter to a delay
+ * @param {number} delay - Delay in ms
+ * @param {string} jitter - 'full' (0..delay), 'equal' (delay/2..delay) or 'none'
+ * @returns {number} Delay in ms
+ */
+function applyJitter(delay, jitter) {
+  if (jitter === 'full') return Math.round(Math.random() * delay);
+  if (jitter === 'equal') return Math.round(delay / 2 + Math.random() * (delay / 2));
+  return delay;
+}
+
+/**
+ * Computes the delay before the next attempt
+ * @param {number} attempt - Number of the failed attempt (1 for the first)
+ * @param {object} context - What is known about the failure
+ * @param {Error} context.error - Error of the failed attempt
+ * @param {number} context.retryDelay - Base delay in ms
+ * @param {number|null} [context.retryAfterMs] - Retry-After of the response
+ * @param {number} [context.regainAccessMs=0] - Regain time reported by usage headers
+ * @param {object} settings - Retry settings
+ * @returns {number} Delay in ms
+ */
+export function computeRetryDelay(attempt, context, settings) {
+  const { error, retryDelay, retryAfterMs = null, regainAccessMs = 0 } = context;
+  const { jitter, maxDelay } = settings;
+
+  // Server-provided waits are followed as-is
+  if (retryAfterMs != null) {
+    return Math.min(retryAfterMs, maxDelay);
+  }
+  if (regainAccessMs > 0 && isRateLimitError(error)) {
+    return Math.min(regainAccessMs, maxDelay);
+  }
+
+  return Math.min(applyJitter(retryDelay * Math.pow(2, attempt - 1), jitter), maxDelay);
+}
@@ -0,0 +1,85 @@
+// src/secretProof.js
+import { FacebookSDKError } from './errors.js';
+
+/**
+ * appsecret_proof support for apps with "Require App Secret" enabled.
+ *
+ * With setConfig({ appSecret }), every Graph request (and every batch item carrying its
+ * own token) gets `appsecret_proof` = HMAC-SHA256(`${accessToken}|${appsecret_time}`, appSecret)
+ * and `appsecret_time`. This only works in Node: node:crypto is imported lazily, and a
+ * configured appSecret is refused in browsers so it never ships to users.
+ */
+
+/**
+ * Whether the code runs in a browser (or a browser-like worker)
+ * @returns {boolean} True in browsers
+ */
+function isBrowser() {
+  return (typeof window !== 'undefined' && typeof window.document !== 'undefined') ||
+    (typeof self !== 'undefined' && typeof self.importScripts === 'function');
+}
+
+/**
+ * Throws when code that needs the app secret runs in a browser
+ * @param {string} feature - What needs the secret (for the error message)
+ */
+export function assertServerOnly(feature) {
+  if (isBrowser()) {
+    throw new FacebookSDKError(
+      `${feature} needs the app secret and must never run in the browser. Keep it on your server.`,
+      'APP_SECRET_IN_BROWSER'
+    );
+  }
+}
+
+let cryptoModule;
+
+/**
+ * Loads node:crypto on first use
+ * @returns {Promise<object>} The crypto module
+ */
+async function loadCrypto() {
+  if (!cryptoModule) {
+    cryptoModule = import('node:crypto').catch((error) => {
+      cryptoModule = undefined;
+      throw new FacebookSDKError(
+        `appSecret requires Node's crypto module: ${error.message}`,
+        'APP_SECRET_UNSUPPORTED'
+      );
+    });
+  }
+  return cryptoModule;
+}
+
+/**
+ * Computes the appsecret_proof params for a token
+ * @param {string} accessToken - Access token the request is made with
+ * @param {string} appSecret - App secret
+ * @param {number} [time] - Unix time in seconds (defaults to now)
+ * @returns {Promise<object>} { appsecret_proof, appsecret_time }
+ */
+export async function createAppSecretProof(accessToken, appSecret, time = Math.floor(Date.now() / 1000)) {
+  assertServerOnly('appsecret_proof');
+  if (typeof appSecret !== 'string' || appSecret.length === 0) {
+    throw new TypeError('appSecret must be a non-empty string');
+  }
+
+  const { createHmac } = await loadCrypto();
+  return {
+    appsecret_proof: createHmac('sha256', appSecret).update(`${accessToken}|${time}`).digest('hex'),
+    appsecret_time: time
+  };
+}
+
+/**
+ * Gets the appsecret_proof params for a request, or none when no appSecret is configured
+ * @param {string} accessToken - Access token of the request
+ * @param {object} config - Resolved configuration
+ * @returns {Promise<object>} Params to merge into the request
+ */
+export async function getAppSecretParams(accessToken, config) {
+  if (!config.appSecret || !accessToken) {
+    return {};
+  }
+  return createAppSecretProof(accessToken, config.appSecret);
+}
@@ -0,0 +1,218 @@
+// src/tokenManager.js
+import { DEFAULT_CONFIG } from './config.js';
+import { resolveContext } from './context.js';
+import { hashToken } from './cache.js';
+import { emitEvent, writeLog } from './events.js';
+import { resolvePageAccessToken, clearPageTokenCache } from './pageTokens.js';
+import { USER_TOKEN } from './tokenStore.js';
+import { FacebookAuthError, FacebookAbortError } from './errors.js';
+import { createInFlightRegistry } from './utils.js';
+
+/**
+ * Token lifecycle for tokens held by the token cache (see src/tokenStore.js):
+ * - a request using a stored token that expires within `tokenRefresh.expiringWithin`
+ *   emits `token:expiring` and, when possible, refreshes the token in the background
+ * - a request failing with an invalid token (code 190) refreshes the token and is
+ *   replayed once with the new one
+ * Refreshes go through `tokenRefresh.refresh` when set, otherwise the SDK for the user
+ * token and `me/accounts` for page tokens. Concurrent failures share one refresh, and
+ * requests that fail with a token already replaced are replayed without refreshing again.
+ *
+ * Tokens passed explicitly and never stored are left alone.
+ */
+
+/**
+ * Refresh state per client context
+ */
+const managerStates = new WeakMap();
+
+function getState(client) {
+  if (!managerStates.has(client)) {
+    managerStates.set(client, {
+      inFlight: createInFlightRegistry(),
+      // Hashes of replaced tokens, mapped to the name they were stored under
+      replaced: new Map(),
+      warned: new Set()
+    });
+  }
+  return managerStates.get(client);
+}
+
+/**
+ * Resolves token refresh settings from config
+ * @param {object} config - Resolved configuration
+ * @returns {object} { enabled, refresh, expiringWithin }
+ */
+function getSettings(config) {
+  return { ...DEFAULT_CONFIG.tokenRefresh, ...config.tokenRefresh };
+}
+
+/**
+ * Whether an error means the access token is invalid or expired
+ * @param {Error} error - Error
+ * @returns {boolean} True for AUTH_TOKEN_INVALID errors
+ */
+export function isTokenInvalidError(error) {
+  return error instanceof FacebookAuthError && error.code === 'AUTH_TOKEN_INVALID';
+}
+
+/**
+ * Normalizes what a refresh callback returned
+ * @param {string|object} result - Token, or { accessToken (or token), expiresIn, expiresAt }
+ * @returns {object} { accessToken, expiresIn, options } ready for setAccessToken
+ */
+function normalizeRefreshResult(result) {
+  if (typeof result === 'string') {
+    return { accessToken: result, expiresIn: undefined, options: {} };
+  }
+  const value = result || {};
+  return {
+    accessToken: value.accessToken || value.token || null,
+    expiresIn: value.expiresIn,
+    options: 'expiresAt' in value ? { expiresAt: value.expiresAt } : {}
+  };
+}
+
+/**
+ * Refreshes a stored token. Concurrent calls for the same token share one refresh.
+ * @param {string} [name='user'] - Token name ('user', 'app' or 'page:<pageId>')
+ * @param {object} [options={}] - Options
+ * @param {string} [options.reason='manual'] - Passed to the refresh callback ('invalid', 'expiring', 'manual')
+ * @param {Error} [options.error] - Error that caused the refresh
+ * @param {AbortSignal} [options.signal] - Cancels this caller's wait
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {Promise<string>} New token
+ */
+export function refreshToken(name = USER_TOKEN, options = {}) {
+  const client = resolveContext(options);
+  const settings = getSettings(client.getConfig());
+  const state = getState(client);
+  const { reason = 'manual', error = null } = options;
+
+  return state.inFlight.run(name, async (signal) => {
+    const startedAt = Date.now();
+    const previous = await client.getToken(name);
+    let token;
+
+    if (typeof settings.refresh === 'function') {
+      const result = normalizeRefreshResult(await settings.refresh({
+        name,
+        token: previous ? previous.token : null,
+        reason,
+        error
+      }));
+      if (!result.accessToken) {
+        throw new FacebookAuthError(`Token refresh for "${name}" returned no token`, 'TOKEN_REFRESH_FAILED');
+      }
+      await client.setAccessToken(result.accessToken, result.expiresIn, { name, ...result.options });
+      const stored = await client.getToken(name);
+      emitEvent(client, 'token:refresh', {
+        source: 'callback',
+        name,
+        expiresIn: stored && stored.expiresAt ? Math.round((stored.expiresAt - Date.now()) / 1000) : null,
+        duration: Date.now() - startedAt
+      });
+      token = result.accessToken;
+    } else if (name === USER_TOKEN) {
+      // Emits token:refresh itself
+      token = await client.resolveAccessToken(null, [], { forceRefresh: true });
+    } else if (name.startsWith('page:')) {
+      await client.clearAccessToken(name);
+      clearPageTokenCache({ client });
+      token = await resolvePageAccessToken(name.slice('page:'.length), undefined, { client, signal });
+      emitEvent(client, 'token:refresh', { source: 'page', name, expiresIn: null, duration: Date.now() - startedAt });
+    } else {
+      throw new FacebookAuthError(
+        `The "${name}" token cannot be refreshed automatically. Set tokenRefresh.refresh.`,
+        'TOKEN_REFRESH_UNAVAILABLE'
+      );
+    }
+
+    if (previous && previous.token !== token) {
+      state.replaced.set(hashToken(previous.token), name);
+      state.warned.delete(hashToken(previous.token));
+    }
+    return token;
+  }, { signal: options.signal });
+}
+
+/**
+ * Whether a stored token can be refreshed ahead of its expiry
+ * @param {object} settings - Token refresh settings
+ * @param {string} name - Token name
+ * @returns {boolean} True when a callback or the SDK can provide a new token
+ */
+function canRefreshEarly(settings, name) {
+  if (typeof settings.refresh === 'function') return true;
+  return name === USER_TOKEN && typeof FB !== 'undefined' && typeof FB.getLoginStatus === 'function';
+}
+
+/**
+ * Emits `token:expiring` (once per token) when a request uses a stored token close to
+ * its expiry, and starts a background refresh when possible
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @param {string} token - Token of the request
+ */
+export function watchTokenExpiry(client, config, token) {
+  const settings = getSettings(config);
+  if (!settings.enabled || typeof token !== 'string') return;
+
+  const entry = client.findToken(token);
+  if (!entry || entry.expiresAt == null) return;
+
+  const remaining = entry.expiresAt - Date.now();
+  const state = getState(client);
+  const key = hashToken(token);
+  if (remaining > settings.expiringWithin || state.warned.has(key)) return;
+
+  state.warned.add(key);
+  emitEvent(client, 'token:expiring', {
+    name: entry.name,
+    expiresAt: entry.expiresAt,
+    expiresIn: Math.max(0, Math.round(remaining / 1000))
+  });
+
+  if (canRefreshEarly(settings, entry.name)) {
+    refreshToken(entry.name, { client, reason: 'expiring' }).catch((error) => {
+      writeLog(config.logger, 'warn', 'Facebook token refresh failed', { name: entry.name, error });
+    });
+  }
+}
+
+/**
+ * Gets a replacement for a token a request failed with, refreshing it when needed
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @param {string} token - Token of the failed request
+ * @param {Error} error - Error of the failed request
+ * @param {object} [options={}] - Graph API options (tokenRecovery: false disables recovery)
+ * @returns {Promise<string|null>} Token to replay the request with, or null to give up
+ */
+export async function recoverToken(client, config, token, error, options = {}) {
+  const settings = getSettings(config);
+  if (!settings.enabled || options.tokenRecovery === false || !isTokenInvalidError(error)) {
+    return null;
+  }
+  if (typeof token !== 'string') return null;
+
+  const state = getState(client);
+  const entry = client.findToken(token);
+  const name = entry ? entry.name : state.replaced.get(hashToken(token));
+  if (!name) return null;
+
+  // Another request already refreshed this token
+  if (!entry) {
+    const current = await client.getToken(name);
+    if (current && current.token !== token) return current.token;
+  }
+
+  try {
+    const refreshed = await refreshToken(name, { client, reason: 'invalid', error, signal: options.signal });
+    return refreshed !== token ? refreshed : null;
+  } catch (refreshError) {
+    if (refreshError instanceof FacebookAbortError) throw refreshError;
+    writeLog(config.logger, 'warn', 'Facebook token refresh failed', { name, error: refreshError });
+    return null;
+  }
+}
@@ -0,0 +1,263 @@
+// src/tokenStore.js
+import { FacebookSDKError } from './errors.js';
+
+/**
+ * Persistent storage for access tokens.
+ *
+ * The token cache of each client reads and writes through a store, so tokens survive
+ * page reloads and server restarts. Set one with setConfig({ tokenStore }):
+ * - createMemoryTokenStore() (the default, one per client)
+ * - createWebStorageTokenStore(localStorage or sessionStorage)
+ * - createFileTokenStore(path, { secret }) for Node.js, encrypted with AES-256-GCM
+ * - any object implementing get(name), set(name, entry), delete(name) and optionally
+ *   keys() and clear(); each method may be async
+ *
+ * Tokens are stored by name: 'user' (the default token), 'app', or 'page:<pageId>'
+ * (see pageTokenName). Entries look like { token, type, expiresAt, updatedAt } where
+ * expiresAt is a timestamp in ms, or null for tokens that never expire.
+ */
+
+/**
+ * Name of the default (user) token
+ */
+export const USER_TOKEN = 'user';
+
+/**
+ * Name of the app token
+ */
+export const APP_TOKEN = 'app';
+
+/**
+ * Builds the name a page token is stored under
+ * @param {string} pageId - Facebook Page ID
+ * @returns {string} Token name ('page:<pageId>')
+ */
+export function pageTokenName(pageId) {
+  return `page:${pageId}`;
+}
+
+/**
+ * Infers the token type from its name
+ * @param {string} name - Token name
+ * @returns {string} 'user', 'page' or 'app'
+ */
+export function tokenTypeOf(name) {
+  if (name === APP_TOKEN) return 'app';
+  return String(name).startsWith('page:') ? 'page' : 'user';
+}
+
+/**
+ * Validates a token store
+ * @param {any} store - Value to validate
+ */
+export function assertTokenStore(store) {
+  const valid = store && ['get', 'set', 'delete'].every((method) => typeof store[method] === 'function');
+  if (!valid) {
+    throw new TypeError('tokenStore must implement get(name), set(name, entry) and delete(name)');
+  }
+}
+
+/**
+ * Creates an in-memory token store
+ * @returns {object} Token store
+ */
+export function createMemoryTokenStore() {
+  const entries = new Map();
+
+  return {
+    get(name) {
+      return entries.get(name);
+    },
+    set(name, entry) {
+      entries.set(name, entry);
+    },
+    delete(name) {
+      entries.delete(name);
+    },
+    keys() {
+      return Array.from(entries.keys());
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Creates a token store backed by a Web Storage object (localStorage or sessionStorage).
+ * Tokens in Web Storage are readable by any script on the page; prefer sessionStorage
+ * and short-lived tokens.
+ * @param {Storage} storage - Storage to use
+ * @param {object} [options={}] - Store options
+ * @param {string} [options.prefix='interact-fb:token:'] - Key prefix for this store's entries
+ * @returns {object} Token store
+ */
+export function createWebStorageTokenStore(storage, options = {}) {
+  const { prefix = 'interact-fb:token:' } = options;
+
+  if (!storage || typeof storage.getItem !== 'function') {
+    throw new TypeError('storage must implement the Web Storage API (getItem/setItem/removeItem)');
+  }
+
+  const keys = () => {
+    const result = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(prefix)) {
+        result.push(key.slice(prefix.length));
+      }
+    }
+    return result;
+  };
+
+  return {
+    get(name) {
+      const raw = storage.getItem(prefix + name);
+      if (!raw) return undefined;
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        storage.removeItem(prefix + name);
+        return undefined;
+      }
+    },
+    set(name, entry) {
+      storage.setItem(prefix + name, JSON.stringify(entry));
+    },
+    delete(name) {
+      storage.removeItem(prefix + name);
+    },
+    keys,
+    clear() {
+      keys().forEach((name) => storage.removeItem(prefix + name));
+    }
+  };
+}
+
+/**
+ * Creates a token store persisted to an encrypted JSON file (Node.js only).
+ * The file holds every token, encrypted with AES-256-GCM under a key derived from
+ * `secret` with scrypt; writes go to a temporary file that replaces the original.
+ * @param {string} path - File path
+ * @param {object} options - Store options
+ * @param {string} options.secret - Encryption secret (e.g. from an environment variable)
+ * @returns {object} Token store
+ */
+export function createFileTokenStore(path, options = {}) {
+  const { secret } = options;
+
+  if (typeof path !== 'string' || path.length === 0) {
+    throw new TypeError('path must be a non-empty string');
+  }
+  if (typeof secret !== 'string' || secret.length === 0) {
+    throw new TypeError('options.secret must be a non-empty string');
+  }
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    throw new FacebookSDKError('createFileTokenStore only works in Node.js', 'NODE_ONLY');
+  }
+
+  let entries = null;
+  let salt = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const deriveKey = async (crypto, keySalt) => new Promise((resolve, reject) => {
+    crypto.scrypt(secret, keySalt, 32, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+
+  async function read() {
+    const [{ readFile }, crypto] = await Promise.all([import('node:fs/promises'), import('node:crypto')]);
+    let raw;
+    try {
+      raw = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new FacebookSDKError(`Cannot read token file ${path}: ${error.message}`, 'TOKEN_STORE_ERROR');
+      }
+      salt = crypto.randomBytes(16);
+      entries = {};
+      return entries;
+    }
+
+    try {
+      const file = JSON.parse(raw);
+      salt = Buffer.from(file.salt, 'base64');
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        await deriveKey(crypto, salt),
+        Buffer.from(file.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      entries = JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new FacebookSDKError(
+        `Cannot decrypt token file ${path} (wrong secret or corrupted file)`,
+        'TOKEN_STORE_ERROR'
+      );
+    }
+    return entries;
+  }
+
+  // Concurrent calls share one read, so none of them replaces entries another already changed
+  function load() {
+    if (!loading) {
+      loading = read().catch((error) => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  async function save() {
+    const [{ writeFile, rename }, crypto] = await Promise.all([import('node:fs/promises'), import('node:crypto')]);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(crypto, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+    const file = {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    const tempPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(file), { mode: 0o600 });
+    await rename(tempPath, path);
+  }
+
+  // Writes run one after another so concurrent updates never interleave
+  const update = (change) => {
+    writing = writing.catch(() => {}).then(async () => {
+      change(await load());
+      await save();
+    });
+    return writing;
+  };
+
+  return {
+    async get(name) {
+      return (await load())[name];
+    },
+    set(name, entry) {
+      return update((current) => {
+        current[name] = entry;
+      });
+    },
+    delete(name) {
+      return update((current) => {
+        delete current[name];
+      });
+    },
+    async keys() {
+      return Object.keys(await load());
+    },
+    clear() {
+      return update((current) => {
+        Object.keys(current).forEach((name) => delete current[name]);
+      });
+    }
+  };
+}
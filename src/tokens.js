@@ -0,0 +1,413 @@
+// src/tokens.js
+import { graphAPI } from './graph.js';
+import { resolveContext } from './context.js';
+import { emitEvent } from './events.js';
+import { collectAll } from './pagination.js';
+import { assertServerOnly } from './secretProof.js';
+import { pageTokenName, USER_TOKEN } from './tokenStore.js';
+import { handleError, FacebookAbortError, FacebookSDKError } from './errors.js';
+import { assertString, assertObject } from './utils.js';
+
+/**
+ * Converts a debug_token Unix timestamp to a Date (0 means "never")
+ * @param {number} [seconds] - Unix timestamp in seconds
+ * @returns {Date|null} Date, or null when absent or never
+ */
+function toDate(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Normalizes the `data` of a debug_token response
+ * @param {object} data - Raw token data
+ * @returns {object} Normalized token information
+ */
+function normalizeTokenInfo(data = {}) {
+  return {
+    isValid: Boolean(data.is_valid),
+    type: data.type || null,
+    appId: data.app_id || null,
+    application: data.application || null,
+    userId: data.user_id || null,
+    // Page tokens carry the page they act for
+    profileId: data.profile_id || null,
+    scopes: Array.isArray(data.scopes) ? data.scopes : [],
+    granularScopes: (data.granular_scopes || []).map((entry) => ({
+      scope: entry.scope,
+      targetIds: Array.isArray(entry.target_ids) ? entry.target_ids : null
+    })),
+    issuedAt: toDate(data.issued_at),
+    expiresAt: toDate(data.expires_at),
+    dataAccessExpiresAt: toDate(data.data_access_expires_at),
+    error: data.error
+      ? { code: data.error.code, subcode: data.error.subcode || null, message: data.error.message }
+      : null
+  };
+}
+
+/**
+ * Inspects an access token with the debug_token endpoint
+ * @param {string} token - Token to inspect
+ * @param {object} [options={}] - Options
+ * @param {string} [options.appToken] - App token (`APP_ID|APP_SECRET`) or a developer token of the app;
+ *   defaults to `appId|appSecret` from the config, then to the inspected token itself
+ * @param {object} [options.apiOptions] - Additional Graph API options
+ * @returns {Promise<object>} { isValid, type ('USER'|'PAGE'|'APP'|'SYSTEM_USER'), appId, application,
+ *   userId, profileId, scopes, granularScopes: [{ scope, targetIds }], issuedAt, expiresAt,
+ *   dataAccessExpiresAt (Dates, null when never), error }
+ */
+export async function inspectToken(token, options = {}) {
+  try {
+    assertString(token, 'token');
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+
+    const {
+      appToken = config.appId && config.appSecret ? `${config.appId}|${config.appSecret}` : token,
+      apiOptions = {}
+    } = options;
+
+    const response = await graphAPI(
+      'debug_token',
+      appToken,
+      'GET',
+      { input_token: token },
+      { signal: options.signal, cache: false, ...apiOptions, client }
+    );
+
+    return normalizeTokenInfo(response && response.data);
+  } catch (error) {
+    throw handleError(error, 'inspectToken');
+  }
+}
+
+/**
+ * Checks an inspected token against a page and the scopes an action needs
+ * @param {object} info - Result of inspectToken
+ * @param {string|null} pageId - Page the action targets (null checks the token and scopes only)
+ * @param {Array<string>} scopes - Required scopes
+ * @param {object} config - Resolved configuration
+ * @returns {object} { allowed, reasons, missingScopes, notGrantedScopes }
+ */
+function evaluatePageAccess(info, pageId, scopes, config) {
+  const reasons = [];
+  const now = Date.now();
+
+  if (!info.isValid) reasons.push('TOKEN_INVALID');
+  if (info.expiresAt && info.expiresAt.getTime() <= now) reasons.push('TOKEN_EXPIRED');
+  if (info.dataAccessExpiresAt && info.dataAccessExpiresAt.getTime() <= now) reasons.push('DATA_ACCESS_EXPIRED');
+  if (config.appId && info.appId && String(info.appId) !== String(config.appId)) reasons.push('WRONG_APP');
+  if (pageId && info.type === 'PAGE' && info.profileId && String(info.profileId) !== String(pageId)) {
+    reasons.push('WRONG_PAGE');
+  }
+
+  const missingScopes = scopes.filter((scope) => !info.scopes.includes(scope));
+  if (missingScopes.length > 0) reasons.push('MISSING_SCOPES');
+
+  // Granular scopes limited to some targets must include this page
+  const notGranted = !pageId || info.type === 'PAGE'
+    ? []
+    : info.granularScopes.filter((entry) =>
+      scopes.includes(entry.scope) && entry.targetIds && !entry.targetIds.includes(String(pageId)));
+  if (notGranted.length > 0) reasons.push('PAGE_NOT_GRANTED');
+
+  return {
+    allowed: reasons.length === 0,
+    reasons,
+    missingScopes,
+    notGrantedScopes: notGranted.map((entry) => entry.scope)
+  };
+}
+
+/**
+ * Checks whether a token can act on a page, without calling the page itself
+ * @param {string} pageId - Facebook Page ID
+ * @param {string} token - User or page access token
+ * @param {object} [options={}] - Options (same as inspectToken, plus:)
+ * @param {Array<string>} [options.scopes] - Required scopes (defaults to defaultPermissions.pages)
+ * @returns {Promise<object>} { allowed, reasons, missingScopes, notGrantedScopes, token (inspectToken result) }.
+ *   Reasons: TOKEN_INVALID, TOKEN_EXPIRED, DATA_ACCESS_EXPIRED, WRONG_APP, WRONG_PAGE,
+ *   MISSING_SCOPES, PAGE_NOT_GRANTED
+ */
+export async function checkPageAccess(pageId, token, options = {}) {
+  try {
+    assertString(pageId, 'pageId');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    const { scopes = config.defaultPermissions.pages } = options;
+
+    const info = await inspectToken(token, options);
+    return { ...evaluatePageAccess(info, pageId, scopes, config), token: info };
+  } catch (error) {
+    throw handleError(error, 'checkPageAccess', { pageId });
+  }
+}
+
+/**
+ * Checks whether a token can read the leads of a lead form (e.g. before getLeads)
+ * @param {string} formId - Lead form ID
+ * @param {string} token - User or page access token
+ * @param {object} [options={}] - Options (same as inspectToken, plus:)
+ * @param {Array<string>} [options.scopes] - Required scopes (defaults to defaultPermissions.leads)
+ * @returns {Promise<object>} Same as checkPageAccess, plus pageId (the form's page). When the form
+ *   itself cannot be read, reasons contains FORM_NOT_ACCESSIBLE.
+ */
+export async function checkFormAccess(formId, token, options = {}) {
+  try {
+    assertString(formId, 'formId');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    const { scopes = config.defaultPermissions.leads, apiOptions = {} } = options;
+
+    const info = await inspectToken(token, options);
+
+    let pageId = null;
+    try {
+      const form = await graphAPI(
+        formId,
+        token,
+        'GET',
+        { fields: 'page{id}' },
+        { signal: options.signal, ...apiOptions, client }
+      );
+      pageId = form && form.page ? String(form.page.id) : null;
+    } catch (error) {
+      if (error instanceof FacebookAbortError) throw error;
+    }
+
+    if (!pageId) {
+      const result = evaluatePageAccess(info, null, scopes, config);
+      return {
+        ...result,
+        allowed: false,
+        reasons: [...result.reasons, 'FORM_NOT_ACCESSIBLE'],
+        pageId,
+        token: info
+      };
+    }
+
+    return { ...evaluatePageAccess(info, pageId, scopes, config), pageId, token: info };
+  } catch (error) {
+    throw handleError(error, 'checkFormAccess', { formId });
+  }
+}
+
+/**
+ * Lifetime assumed for a page token whose expiry is unknown (that of a short-lived token)
+ */
+const UNKNOWN_PAGE_TOKEN_TTL = 60 * 60 * 1000;
+
+/**
+ * Gets the expiry to store a page token with: the one debug_token reported when the token
+ * was inspected, else that of the stored user token it comes from, else a short lifetime.
+ * Only inspected tokens are stored as never expiring.
+ * @param {object} client - Client context
+ * @param {object} page - Page with its inspected expiresAt
+ * @param {boolean} inspected - Whether page.expiresAt comes from debug_token
+ * @param {string} userToken - User token the page token comes from
+ * @returns {Date|number|null} Expiry for setAccessToken (null for never)
+ */
+function pageTokenExpiry(client, page, inspected, userToken) {
+  if (inspected) return page.expiresAt;
+  const userEntry = client.findToken(userToken);
+  if (userEntry && userEntry.expiresAt != null) return userEntry.expiresAt;
+  return Date.now() + UNKNOWN_PAGE_TOKEN_TTL;
+}
+
+/**
+ * Exchanges a short-lived user token (about 2 hours, e.g. from loginWithFacebook) for a
+ * long-lived one (about 60 days). Server-side only: the exchange needs the app secret.
+ * @param {string} shortLivedToken - Short-lived user access token
+ * @param {object} [options={}] - Options
+ * @param {string} [options.appId] - App ID (defaults to config.appId)
+ * @param {string} [options.appSecret] - App secret (defaults to config.appSecret)
+ * @param {boolean} [options.store=true] - Store the long-lived token as the client's 'user' token
+ *   (setAccessToken) with its real lifetime
+ * @param {object} [options.apiOptions] - Additional Graph API options
+ * @returns {Promise<object>} { accessToken, tokenType, expiresIn (seconds or null), expiresAt (Date or null) }
+ */
+export async function exchangeForLongLivedToken(shortLivedToken, options = {}) {
+  try {
+    assertString(shortLivedToken, 'shortLivedToken');
+    assertObject(options, 'options');
+    assertServerOnly('exchangeForLongLivedToken');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+
+    const {
+      appId = config.appId,
+      appSecret = config.appSecret,
+      store = true,
+      apiOptions = {}
+    } = options;
+
+    if (!appId || !appSecret) {
+      throw new FacebookSDKError(
+        'appId and appSecret are required to exchange tokens. Pass them or set them with setConfig().',
+        'APP_CREDENTIALS_REQUIRED'
+      );
+    }
+
+    const startedAt = Date.now();
+    const response = await graphAPI(
+      'oauth/access_token',
+      shortLivedToken,
+      'GET',
+      {
+        grant_type: 'fb_exchange_token',
+        client_id: appId,
+        client_secret: appSecret,
+        fb_exchange_token: shortLivedToken
+      },
+      { signal: options.signal, cache: false, dedupe: false, ...apiOptions, client }
+    );
+
+    let expiresIn = response.expires_in ? Number(response.expires_in) : null;
+    let expiresAt = expiresIn ? new Date(startedAt + expiresIn * 1000) : null;
+
+    // Without expires_in the lifetime is unknown: ask debug_token instead of guessing
+    if (!expiresIn) {
+      const info = await inspectToken(response.access_token, {
+        appToken: `${appId}|${appSecret}`,
+        apiOptions,
+        signal: options.signal,
+        client
+      });
+      expiresAt = info.expiresAt;
+      expiresIn = expiresAt ? Math.max(0, Math.round((expiresAt.getTime() - Date.now()) / 1000)) : null;
+    }
+
+    const result = {
+      accessToken: response.access_token,
+      tokenType: response.token_type || 'bearer',
+      expiresIn,
+      expiresAt
+    };
+
+    if (store) {
+      await client.setAccessToken(result.accessToken, null, { expiresAt });
+      emitEvent(client, 'token:refresh', { source: 'exchange', name: USER_TOKEN, expiresIn, duration: Date.now() - startedAt });
+    }
+
+    return result;
+  } catch (error) {
+    throw handleError(error, 'exchangeForLongLivedToken');
+  }
+}
+
+/**
+ * Fetches the page tokens of every page a user manages. Page tokens derived from a
+ * long-lived user token never expire, so exchange the user token first.
+ * @param {string} longLivedUserToken - Long-lived user access token
+ * @param {object} [options={}] - Options (plus the pagination options of paginate)
+ * @param {boolean} [options.inspect=false] - Confirm each token's expiry with inspectToken
+ *   (one extra request per page)
+ * @param {boolean} [options.store=true] - Store each token in the token store as 'page:<pageId>',
+ *   expiring with the stored user token (or after an hour) unless `inspect` tells its real expiry
+ * @param {string} [options.appToken] - App token used by inspectToken
+ * @param {object} [options.apiOptions] - Additional Graph API options
+ * @returns {Promise<Array<object>>} [{ id, name, accessToken, tasks, expiresAt, dataAccessExpiresAt }];
+ *   expiresAt is null for never-expiring tokens (and unknown without `inspect`)
+ */
+export async function getLongLivedPageTokens(longLivedUserToken, options = {}) {
+  try {
+    assertString(longLivedUserToken, 'longLivedUserToken');
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const { inspect = false, store = true, appToken, ...paginationOptions } = options;
+
+    const accounts = await collectAll(
+      'me/accounts',
+      longLivedUserToken,
+      { fields: 'id,name,access_token,tasks' },
+      { ...paginationOptions, apiOptions: { cache: false, ...paginationOptions.apiOptions }, client }
+    );
+
+    const pages = [];
+    for (const account of accounts) {
+      const page = {
+        id: account.id,
+        name: account.name,
+        accessToken: account.access_token,
+        tasks: account.tasks || [],
+        expiresAt: null,
+        dataAccessExpiresAt: null
+      };
+      if (inspect && page.accessToken) {
+        const info = await inspectToken(page.accessToken, {
+          appToken,
+          apiOptions: options.apiOptions,
+          signal: options.signal,
+          client
+        });
+        page.expiresAt = info.expiresAt;
+        page.dataAccessExpiresAt = info.dataAccessExpiresAt;
+      }
+      if (store && page.accessToken) {
+        await client.setAccessToken(page.accessToken, null, {
+          name: pageTokenName(page.id),
+          expiresAt: pageTokenExpiry(client, page, inspect, longLivedUserToken)
+        });
+      }
+      pages.push(page);
+    }
+    return pages;
+  } catch (error) {
+    throw handleError(error, 'getLongLivedPageTokens');
+  }
+}
+
+/**
+ * Fetches the page token of one page (never expiring when the user token is long-lived)
+ * @param {string} pageId - Facebook Page ID
+ * @param {string} longLivedUserToken - Long-lived user access token
+ * @param {object} [options={}] - Options (same as getLongLivedPageTokens)
+ * @returns {Promise<object>} { id, name, accessToken, expiresAt, dataAccessExpiresAt }
+ */
+export async function getLongLivedPageToken(pageId, longLivedUserToken, options = {}) {
+  try {
+    assertString(pageId, 'pageId');
+    assertString(longLivedUserToken, 'longLivedUserToken');
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const { inspect = false, store = true, appToken, apiOptions = {} } = options;
+
+    const response = await graphAPI(
+      pageId,
+      longLivedUserToken,
+      'GET',
+      { fields: 'id,name,access_token' },
+      { signal: options.signal, cache: false, ...apiOptions, client }
+    );
+
+    if (!response.access_token) {
+      throw new FacebookSDKError(
+        `No page token returned for page ${pageId}. The user must manage the page.`,
+        'PAGE_TOKEN_UNAVAILABLE'
+      );
+    }
+
+    const page = {
+      id: response.id,
+      name: response.name,
+      accessToken: response.access_token,
+      expiresAt: null,
+      dataAccessExpiresAt: null
+    };
+    if (inspect) {
+      const info = await inspectToken(page.accessToken, { appToken, apiOptions, signal: options.signal, client });
+      page.expiresAt = info.expiresAt;
+      page.dataAccessExpiresAt = info.dataAccessExpiresAt;
+    }
+    if (store) {
+      await client.setAccessToken(page.accessToken, null, {
+        name: pageTokenName(page.id),
+        expiresAt: pageTokenExpiry(client, page, inspect, longLivedUserToken)
+      });
+    }
+    return page;
+  } catch (error) {
+    throw handleError(error, 'getLongLivedPageToken', { pageId });
+  }
+}
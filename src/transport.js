@@ -0,0 +1,131 @@
+// src/transport.js
+import { FacebookSDKError } from './errors.js';
+
+/**
+ * Resolves the fetch implementation used for HTTP requests
+ * @param {Function} [fetchImpl] - Custom fetch implementation (undici, node-fetch, test double...)
+ * @returns {Function} Fetch function
+ */
+export function resolveFetch(fetchImpl) {
+  if (typeof fetchImpl === 'function') {
+    return fetchImpl;
+  }
+
+  if (typeof globalThis !== 'undefined' && typeof globalThis.fetch === 'function') {
+    // Bind to globalThis so browsers don't throw "Illegal invocation"
+    return globalThis.fetch.bind(globalThis);
+  }
+
+  throw new FacebookSDKError(
+    'No fetch implementation available. Provide one with setConfig({ fetch }).',
+    'NO_FETCH'
+  );
+}
+
+/**
+ * Builds a versioned Graph API URL
+ * @param {string} baseUrl - Graph host (e.g. https://graph.facebook.com)
+ * @param {string} version - API version (e.g. v23.0)
+ * @param {string} endpoint - Endpoint path without version prefix
+ * @returns {URL} Request URL
+ */
+export function buildGraphUrl(baseUrl, version, endpoint = '') {
+  const base = String(baseUrl).replace(/\/+$/, '');
+  const path = String(endpoint).replace(/^\/+/, '');
+  return new URL(`${base}/${version}/${path}`);
+}
+
+/**
+ * Whether a value is a stream (web ReadableStream or Node.js Readable)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for streams
+ */
+function isStream(value) {
+  return typeof value === 'object' && value !== null &&
+    (typeof value.getReader === 'function' || typeof value.pipe === 'function');
+}
+
+/**
+ * Whether a value is binary content to upload (Blob, File, Buffer, ArrayBuffer, typed array or stream)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for binary content
+ */
+export function isBinary(value) {
+  return (typeof Blob !== 'undefined' && value instanceof Blob) ||
+    value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value) ||
+    isStream(value);
+}
+
+/**
+ * Converts binary content to a Blob. Streams are read to the end, so a retried request
+ * can send the same body again.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} value - Binary content
+ * @param {object} [options={}] - Options
+ * @param {string} [options.filename] - File name sent with the content
+ * @param {string} [options.contentType] - MIME type (keeps the Blob's own type when omitted)
+ * @returns {Promise<Blob>} Blob (a File when a filename is given and File is available)
+ */
+export async function toBlob(value, options = {}) {
+  const { filename, contentType } = options;
+  let blob;
+
+  if (value instanceof Blob) {
+    blob = value;
+  } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    blob = new Blob([value]);
+  } else if (value && typeof value[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of value) {
+      chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    }
+    blob = new Blob(chunks);
+  } else if (value && typeof value.getReader === 'function') {
+    blob = await new Response(value).blob();
+  } else {
+    throw new TypeError('Upload source must be a Blob, File, Buffer, ArrayBuffer, typed array or stream');
+  }
+
+  if (contentType && blob.type !== contentType) {
+    blob = blob.slice(0, blob.size, contentType);
+  }
+  if (filename && typeof File === 'function' && blob.name !== filename) {
+    blob = new File([blob], filename, { type: blob.type });
+  }
+  return blob;
+}
+
+/**
+ * Whether request params must be sent as multipart/form-data
+ * @param {object|FormData} params - Request params
+ * @returns {boolean} True for FormData or params holding binary content
+ */
+export function isMultipart(params) {
+  if (typeof FormData !== 'undefined' && params instanceof FormData) {
+    return true;
+  }
+  return Boolean(params) && Object.values(params).some(isBinary);
+}
+
+/**
+ * Builds a multipart/form-data body
+ * @param {object|FormData} params - Request params; binary values become file parts
+ * @param {object} [extraParams={}] - Params appended as plain fields (e.g. appsecret_proof)
+ * @returns {Promise<FormData>} Form data
+ */
+export async function buildFormData(params, extraParams = {}) {
+  const form = new FormData();
+  const entries = params instanceof FormData ? Array.from(params.entries()) : Object.entries(params);
+
+  for (const [key, value] of [...entries, ...Object.entries(extraParams)]) {
+    if (value === undefined) continue;
+
+    if (isBinary(value)) {
+      const blob = await toBlob(value);
+      form.append(key, blob, blob.name || key);
+    } else {
+      form.append(key, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+    }
+  }
+  return form;
+}
@@ -0,0 +1,240 @@
+// src/uploads.js
+import { graphAPI } from './graph.js';
+import { resolveContext } from './context.js';
+import { preflightPermissions } from './permissions.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { toBlob } from './transport.js';
+import { resolvePageAccessToken } from './pageTokens.js';
+import { handleError } from './errors.js';
+import { getRetrySettings, shouldRetryRequest, computeRetryDelay } from './retry.js';
+import { assertString, assertObject, sleep } from './utils.js';
+
+/**
+ * Uploads take longer than regular calls: each request gets at least this timeout (ms)
+ */
+const UPLOAD_TIMEOUT = 120000;
+
+/**
+ * Videos above this size (bytes) use the resumable protocol unless `resumable` says otherwise
+ */
+const RESUMABLE_THRESHOLD = 25 * 1024 * 1024;
+
+/**
+ * Host for video uploads when the default Graph host is used
+ */
+const VIDEO_BASE_URL = 'https://graph-video.facebook.com';
+
+/**
+ * Builds the Graph API options of an upload request
+ * @param {object} config - Resolved configuration
+ * @param {object} options - Upload options
+ * @param {object} client - Client context
+ * @param {string} [baseUrl] - Host override
+ * @returns {object} Graph API options
+ */
+function uploadApiOptions(config, options, client, baseUrl) {
+  return {
+    signal: options.signal,
+    timeout: Math.max(config.timeout, UPLOAD_TIMEOUT),
+    ...(baseUrl && { baseUrl }),
+    ...options.apiOptions,
+    client
+  };
+}
+
+/**
+ * Uploads a photo to a Facebook Page
+ * @param {string} pageId - Facebook Page ID
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} source - Public image URL,
+ *   or the image itself (Blob, File, Buffer, typed array, web or Node.js stream)
+ * @param {string} accessToken - Page access token, or a user token managing the page
+ * @param {object} [options={}] - Upload options
+ * @param {string} [options.caption] - Photo caption
+ * @param {boolean} [options.published=true] - Publish right away (false for unpublished photos)
+ * @param {string} [options.filename='photo'] - File name sent with binary content
+ * @param {string} [options.contentType] - MIME type of binary content
+ * @param {object} [options.params] - Extra Graph params (e.g. scheduled_publish_time)
+ * @param {object} [options.apiOptions] - Additional Graph API options
+ * @returns {Promise<object>} { id, post_id }
+ */
+export async function uploadPagePhoto(pageId, source, accessToken, options = {}) {
+  try {
+    assertString(pageId, 'pageId');
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions('uploadPagePhoto', accessToken, options);
+
+    const {
+      caption,
+      published,
+      filename = 'photo',
+      contentType,
+      params = {}
+    } = options;
+
+    const body = { ...params };
+    if (typeof source === 'string') {
+      body.url = source;
+    } else {
+      body.source = await toBlob(source, { filename, contentType });
+    }
+    if (caption) body.caption = caption;
+    if (published != null) body.published = published;
+
+    return await graphAPI(
+      `${pageId}/photos`,
+      await resolvePageAccessToken(pageId, accessToken, options),
+      'POST',
+      body,
+      uploadApiOptions(config, options, client)
+    );
+  } catch (error) {
+    throw handleError(error, 'uploadPagePhoto', { pageId });
+  }
+}
+
+/**
+ * Sends one chunk of a resumable upload, retrying it on its own
+ * @param {string} endpoint - Upload endpoint
+ * @param {string} token - Access token
+ * @param {object} params - Transfer params
+ * @param {object} apiOptions - Graph API options
+ * @param {object} settings - { attempts, retryDelay, retry (retry policy), signal }
+ * @returns {Promise<object>} { start_offset, end_offset } of the next chunk
+ */
+async function transferChunk(endpoint, token, params, apiOptions, settings) {
+  const { attempts, retryDelay, retry, signal } = settings;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await graphAPI(endpoint, token, 'POST', params, { ...apiOptions, retryAttempts: 0 });
+    } catch (error) {
+      if (attempt > attempts || !shouldRetryRequest(error, attempt, retry)) {
+        throw error;
+      }
+      await sleep(computeRetryDelay(attempt, { error, retryDelay }, retry), signal);
+    }
+  }
+}
+
+/**
+ * Uploads a video to a Facebook Page. Large files use the resumable protocol:
+ * a start phase opens an upload session, chunks are transferred at the offsets
+ * Facebook asks for (each chunk retried on its own), and a finish phase publishes the video.
+ * @param {string} pageId - Facebook Page ID
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} source - Public video URL,
+ *   or the video itself (Blob, File, Buffer, typed array, web or Node.js stream; streams are
+ *   read into memory, pass a Blob such as fs.openAsBlob(path) for large files in Node.js)
+ * @param {string} accessToken - Page access token, or a user token managing the page
+ * @param {object} [options={}] - Upload options
+ * @param {string} [options.title] - Video title
+ * @param {string} [options.description] - Video description
+ * @param {boolean} [options.published=true] - Publish right away
+ * @param {boolean} [options.resumable] - Force (true) or disable (false) chunked upload;
+ *   by default files above 25 MB are chunked
+ * @param {number} [options.chunkRetryAttempts] - Retries per chunk (defaults to retryAttempts)
+ * @param {Function} [options.onProgress] - Called with { uploadedBytes, totalBytes, videoId }
+ * @param {string} [options.filename='video'] - File name sent with binary content
+ * @param {string} [options.contentType] - MIME type of binary content
+ * @param {object} [options.params] - Extra Graph params sent with the video
+ * @param {object} [options.apiOptions] - Additional Graph API options (baseUrl defaults to graph-video.facebook.com)
+ * @returns {Promise<object>} { id, success? }
+ */
+export async function uploadPageVideo(pageId, source, accessToken, options = {}) {
+  try {
+    assertString(pageId, 'pageId');
+    assertObject(options, 'options');
+    const client = resolveContext(options);
+    const config = client.getConfig();
+    await preflightPermissions('uploadPageVideo', accessToken, options);
+
+    const {
+      title,
+      description,
+      published,
+      resumable,
+      chunkRetryAttempts = config.retryAttempts,
+      onProgress,
+      filename = 'video',
+      contentType,
+      params = {}
+    } = options;
+
+    const endpoint = `${pageId}/videos`;
+    const token = await resolvePageAccessToken(pageId, accessToken, options);
+    const baseUrl = config.baseUrl === DEFAULT_CONFIG.baseUrl ? VIDEO_BASE_URL : config.baseUrl;
+    const apiOptions = uploadApiOptions(config, options, client, baseUrl);
+
+    const details = { ...params };
+    if (title) details.title = title;
+    if (description) details.description = description;
+    if (published != null) details.published = published;
+
+    if (typeof source === 'string') {
+      return await graphAPI(endpoint, token, 'POST', { ...details, file_url: source }, apiOptions);
+    }
+
+    const file = await toBlob(source, { filename, contentType });
+    const totalBytes = file.size;
+    const report = (uploadedBytes, videoId) => {
+      if (onProgress) onProgress({ uploadedBytes, totalBytes, videoId });
+    };
+
+    if (!(resumable ?? totalBytes > RESUMABLE_THRESHOLD)) {
+      const response = await graphAPI(endpoint, token, 'POST', { ...details, source: file }, apiOptions);
+      report(totalBytes, response.id);
+      return response;
+    }
+
+    // Start phase: opens the session and tells which bytes to send first
+    const session = await graphAPI(
+      endpoint,
+      token,
+      'POST',
+      { upload_phase: 'start', file_size: totalBytes },
+      apiOptions
+    );
+    const { upload_session_id: uploadSessionId, video_id: videoId } = session;
+    let startOffset = Number(session.start_offset);
+    let endOffset = Number(session.end_offset);
+    report(startOffset, videoId);
+
+    // Transfer phase: Facebook returns the next offsets until start equals end
+    while (startOffset < endOffset) {
+      const next = await transferChunk(
+        endpoint,
+        token,
+        {
+          upload_phase: 'transfer',
+          upload_session_id: uploadSessionId,
+          start_offset: startOffset,
+          video_file_chunk: file.slice(startOffset, endOffset)
+        },
+        apiOptions,
+        {
+          attempts: chunkRetryAttempts,
+          retryDelay: config.retryDelay,
+          retry: getRetrySettings(config, apiOptions),
+          signal: options.signal
+        }
+      );
+      startOffset = Number(next.start_offset);
+      endOffset = Number(next.end_offset);
+      report(Math.min(startOffset, totalBytes), videoId);
+    }
+
+    // Finish phase: publishes the video with its details
+    const finished = await graphAPI(
+      endpoint,
+      token,
+      'POST',
+      { ...details, upload_phase: 'finish', upload_session_id: uploadSessionId },
+      apiOptions
+    );
+
+    return { ...finished, id: videoId };
+  } catch (error) {
+    throw handleError(error, 'uploadPageVideo', { pageId });
+  }
+}
@@ -1,87 +1,385 @@
 // src/utils.js
-import { FacebookSDKError, FacebookPermissionError } from './errors.js';
+import { FacebookSDKError, FacebookPermissionError, FacebookAbortError } from './errors.js';
+import { createMemoryTokenStore, assertTokenStore, tokenTypeOf, USER_TOKEN } from './tokenStore.js';
 
-let cachedAccessToken = null;
-let cachedExpiresAtMs = 0;
-let inFlightTokenPromise = null;
+/**
+ * Creates a registry of in-flight operations. While an operation for a key is
+ * pending, callers asking for the same key share its promise instead of starting
+ * a new one. Used for SDK token lookups and identical GET requests.
+ * @returns {{ run: Function, has: Function, clear: Function }} Registry
+ */
+export function createInFlightRegistry() {
+  const pending = new Map();
+
+  return {
+    /**
+     * @param {string} key - Operation identity
+     * @param {Function} operation - Starts the operation: (signal) => promise. The signal
+     *   aborts once every caller that passed a signal has cancelled and no other caller waits.
+     * @param {object} [options={}] - Options
+     * @param {boolean} [options.fresh=false] - Start a new operation even if one is pending
+     * @param {AbortSignal} [options.signal] - Cancels this caller's wait
+     * @returns {Promise<any>} Shared result
+     */
+    run(key, operation, options = {}) {
+      const { fresh = false, signal } = options;
+      throwIfAborted(signal);
+
+      let entry = !fresh && pending.get(key);
+      if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, waiters: 0 };
+        entry.promise = Promise.resolve()
+          .then(() => operation(controller.signal))
+          .finally(() => {
+            if (pending.get(key) === entry) pending.delete(key);
+          });
+        pending.set(key, entry);
+      }
+
+      entry.waiters++;
+      if (!signal) {
+        return entry.promise;
+      }
+
+      const shared = entry;
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          shared.waiters--;
+          if (shared.waiters === 0) {
+            if (pending.get(key) === shared) pending.delete(key);
+            shared.controller.abort();
+          }
+          reject(createAbortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise
+          .finally(() => signal.removeEventListener('abort', onAbort))
+          .then(resolve, reject);
+      });
+    },
+    has(key) {
+      return pending.has(key);
+    },
+    clear() {
+      pending.clear();
+    }
+  };
+}
 
 /**
- * Resolves an access token or throws a descriptive error.
- * Accepts either a string token or null to auto-resolve via FB SDK when available.
- * @param {string|null|undefined} maybeToken
- * @param {Array} [missingContext=[]] - Permissions for context on errors
- * @returns {Promise<string>} access token
+ * Creates an isolated access token cache. Tokens are read from and written through a
+ * token store (see src/tokenStore.js), keeping the tokens already read in memory.
+ * Each cache deduplicates its own in-flight SDK lookups.
+ * @param {object} [options={}] - Cache options
+ * @param {Function} [options.onRefresh] - Called with { source, name, expiresIn, duration } after a token is fetched
+ * @param {Function} [options.getStore] - Returns the configured token store (memory store when it returns null)
+ * @returns {object} Token cache with resolveAccessToken, setAccessToken, clearAccessToken,
+ *   getCachedAccessToken, getToken and findToken
  */
-export async function resolveAccessToken(maybeToken, missingContext = [], options = {}) {
-  const { useCache = true, forceRefresh = false } = options;
+export function createTokenCache(options = {}) {
+  const { onRefresh, getStore = () => null } = options;
+  const memoryStore = createMemoryTokenStore();
+  const inFlight = createInFlightRegistry();
+  let loaded = new Map();
+  let loadedFrom = memoryStore;
 
-  if (typeof maybeToken === 'string' && maybeToken.trim().length > 0) {
-    return maybeToken;
+  // Entries read from another store are forgotten when the configured store changes
+  function currentStore() {
+    const store = getStore() || memoryStore;
+    if (store !== loadedFrom) {
+      assertTokenStore(store);
+      loaded = new Map();
+      loadedFrom = store;
+    }
+    return store;
   }
 
-  const now = Date.now();
-  if (useCache && !forceRefresh && cachedAccessToken && cachedExpiresAtMs > now + 5000) {
-    return cachedAccessToken;
+  function isUsable(entry, now = Date.now()) {
+    return Boolean(entry && entry.token && (entry.expiresAt == null || entry.expiresAt > now + 5000));
   }
 
-  if (inFlightTokenPromise && !forceRefresh) {
-    return inFlightTokenPromise;
+  async function getToken(name = USER_TOKEN) {
+    const store = currentStore();
+    if (isUsable(loaded.get(name))) {
+      return { ...loaded.get(name) };
+    }
+    const entry = await store.get(name);
+    if (!isUsable(entry)) {
+      return null;
+    }
+    loaded.set(name, entry);
+    return { ...entry };
   }
 
-  if (typeof FB !== 'undefined' && typeof FB.getLoginStatus === 'function') {
-    inFlightTokenPromise = new Promise((resolve, reject) => {
-      FB.getLoginStatus((status) => {
-        try {
-          if (status && status.status === 'connected' && status.authResponse?.accessToken) {
-            const token = status.authResponse.accessToken;
-            const expiresInSec = status.authResponse.expiresIn;
-            cachedAccessToken = token;
-            cachedExpiresAtMs = expiresInSec ? now + expiresInSec * 1000 : now + 60 * 60 * 1000;
-            return resolve(token);
+  async function resolveAccessToken(maybeToken, missingContext = [], options = {}) {
+    const { useCache = true, forceRefresh = false, name = USER_TOKEN } = options;
+
+    if (typeof maybeToken === 'string' && maybeToken.trim().length > 0) {
+      return maybeToken;
+    }
+
+    if (useCache && !forceRefresh) {
+      const entry = await getToken(name);
+      if (entry) return entry.token;
+    }
+
+    if (name === USER_TOKEN && typeof FB !== 'undefined' && typeof FB.getLoginStatus === 'function') {
+      const now = Date.now();
+      return inFlight.run('sdk', () => new Promise((resolve, reject) => {
+        // A forced refresh asks Facebook again instead of the SDK's own cache
+        FB.getLoginStatus((status) => {
+          try {
+            if (status && status.status === 'connected' && status.authResponse?.accessToken) {
+              const token = status.authResponse.accessToken;
+              const expiresInSec = status.authResponse.expiresIn;
+              setAccessToken(token, expiresInSec);
+              if (onRefresh) {
+                onRefresh({ source: 'sdk', name: USER_TOKEN, expiresIn: expiresInSec || null, duration: Date.now() - now });
+              }
+              return resolve(token);
+            }
+            return reject(new FacebookPermissionError(
+              'User not logged in. Cannot proceed without an access token.',
+              missingContext,
+              'NOT_LOGGED_IN'
+            ));
+          } catch (e) {
+            return reject(e);
           }
-          return reject(new FacebookPermissionError(
-            'User not logged in. Cannot proceed without an access token.',
-            missingContext,
-            'NOT_LOGGED_IN'
-          ));
-        } catch (e) {
-          return reject(e);
-        }
+        }, forceRefresh);
+      }), { fresh: forceRefresh });
+    }
+
+    throw new FacebookSDKError(
+      name === USER_TOKEN
+        ? 'No access token provided and Facebook SDK not available.'
+        : `No access token provided and no valid "${name}" token stored.`,
+      'NO_TOKEN'
+    );
+  }
+
+  /**
+   * Stores a token. Resolves once the store has written it; the token is usable
+   * from this cache right away.
+   * @param {string|null} token - Token (null removes it)
+   * @param {number} [expiresInSeconds] - Lifetime (1 hour when omitted)
+   * @param {object} [options={}] - { name='user', type, expiresAt (ms or Date; null never expires) }
+   * @returns {Promise<void>} Store write
+   */
+  function setAccessToken(token, expiresInSeconds, options = {}) {
+    const { name = USER_TOKEN, type = tokenTypeOf(name) } = options;
+    const store = currentStore();
+    const now = Date.now();
+
+    let write;
+    if (typeof token === 'string' && token.length > 0) {
+      let expiresAt = expiresInSeconds ? now + expiresInSeconds * 1000 : now + 60 * 60 * 1000;
+      if ('expiresAt' in options) {
+        expiresAt = options.expiresAt == null ? null : new Date(options.expiresAt).getTime();
+      }
+      const entry = { token, type, expiresAt, updatedAt: now };
+      loaded.set(name, entry);
+      write = Promise.resolve().then(() => store.set(name, entry));
+    } else {
+      loaded.delete(name);
+      write = Promise.resolve().then(() => store.delete(name));
+    }
+
+    // Callers that do not wait for the write must not see unhandled rejections
+    write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Removes a token, or every token when no name is given
+   * @param {string} [name] - Token name
+   * @returns {Promise<void>} Store write
+   */
+  function clearAccessToken(name) {
+    const store = currentStore();
+    let write;
+    if (name) {
+      loaded.delete(name);
+      write = Promise.resolve().then(() => store.delete(name));
+    } else {
+      const names = Array.from(loaded.keys());
+      loaded.clear();
+      inFlight.clear();
+      write = Promise.resolve().then(async () => {
+        if (typeof store.clear === 'function') return store.clear();
+        const stored = typeof store.keys === 'function' ? await store.keys() : names;
+        return Promise.all(stored.map((key) => store.delete(key)));
       });
-    }).finally(() => {
-      inFlightTokenPromise = null;
-    });
-    return inFlightTokenPromise;
+    }
+    write.catch(() => {});
+    return write.then(() => {});
   }
 
-  throw new FacebookSDKError(
-    'No access token provided and Facebook SDK not available.',
-    'NO_TOKEN'
-  );
+  // Synchronous: only sees tokens this cache has already read or written
+  function getCachedAccessToken(name = USER_TOKEN) {
+    currentStore();
+    const entry = loaded.get(name);
+    return isUsable(entry) ? entry.token : null;
+  }
+
+  // Synchronous: finds which already read or written token a value is
+  function findToken(token) {
+    currentStore();
+    for (const [name, entry] of loaded) {
+      if (entry.token === token) return { name, ...entry };
+    }
+    return null;
+  }
+
+  return { resolveAccessToken, setAccessToken, clearAccessToken, getCachedAccessToken, getToken, findToken };
+}
+
+/**
+ * Listener for refreshes of the default token cache (set by the default context)
+ */
+let defaultRefreshListener = null;
+
+/**
+ * Returns the token store of the default token cache (set by the default context)
+ */
+let defaultStoreResolver = null;
+
+/**
+ * Token cache backing the top-level exports
+ */
+const defaultTokenCache = createTokenCache({
+  onRefresh: (info) => {
+    if (defaultRefreshListener) defaultRefreshListener(info);
+  },
+  getStore: () => (defaultStoreResolver ? defaultStoreResolver() : null)
+});
+
+/**
+ * Sets the listener notified when the default token cache fetches a token
+ * @param {Function|null} listener - Called with { source, name, expiresIn, duration }
+ */
+export function setDefaultTokenRefreshListener(listener) {
+  defaultRefreshListener = listener;
+}
+
+/**
+ * Sets how the default token cache finds its token store
+ * @param {Function|null} resolver - Returns the configured store, or null for memory
+ */
+export function setDefaultTokenStoreResolver(resolver) {
+  defaultStoreResolver = resolver;
+}
+
+/**
+ * Resolves an access token or throws a descriptive error.
+ * Accepts either a string token or null to auto-resolve via FB SDK when available.
+ * @param {string|null|undefined} maybeToken
+ * @param {Array} [missingContext=[]] - Permissions for context on errors
+ * @returns {Promise<string>} access token
+ */
+export function resolveAccessToken(maybeToken, missingContext = [], options = {}) {
+  return defaultTokenCache.resolveAccessToken(maybeToken, missingContext, options);
+}
+
+/**
+ * Stores a token in the default token cache (and its token store)
+ * @param {string|null} token - Token (null removes it)
+ * @param {number} [expiresInSeconds] - Lifetime (1 hour when omitted)
+ * @param {object} [options={}] - { name='user', type, expiresAt (ms or Date; null never expires) }
+ * @returns {Promise<void>} Resolves once the store has written the token
+ */
+export function setAccessToken(token, expiresInSeconds, options = {}) {
+  return defaultTokenCache.setAccessToken(token, expiresInSeconds, options);
+}
+
+/**
+ * Removes a token from the default token cache, or every token when no name is given
+ * @param {string} [name] - Token name
+ * @returns {Promise<void>} Resolves once the store is updated
+ */
+export function clearAccessToken(name) {
+  return defaultTokenCache.clearAccessToken(name);
+}
+
+/**
+ * Gets a valid token already read or written by the default token cache
+ * @param {string} [name='user'] - Token name
+ * @returns {string|null} Token
+ */
+export function getCachedAccessToken(name) {
+  return defaultTokenCache.getCachedAccessToken(name);
 }
 
-export function setAccessToken(token, expiresInSeconds) {
-  cachedAccessToken = typeof token === 'string' ? token : null;
-  const now = Date.now();
-  cachedExpiresAtMs = cachedAccessToken
-    ? (expiresInSeconds ? now + expiresInSeconds * 1000 : now + 60 * 60 * 1000)
-    : 0;
+/**
+ * Reads a valid token with its metadata through the default token store
+ * @param {string} [name='user'] - Token name
+ * @returns {Promise<object|null>} { token, type, expiresAt, updatedAt }, null when missing or expired
+ */
+export function getToken(name) {
+  return defaultTokenCache.getToken(name);
 }
 
-export function clearAccessToken() {
-  cachedAccessToken = null;
-  cachedExpiresAtMs = 0;
-  inFlightTokenPromise = null;
+/**
+ * Finds which token of the default token cache a value is (among tokens already read or written)
+ * @param {string} token - Access token
+ * @returns {object|null} { name, token, type, expiresAt, updatedAt }
+ */
+export function findToken(token) {
+  return defaultTokenCache.findToken(token);
 }
 
-export function getCachedAccessToken() {
-  const now = Date.now();
-  if (cachedAccessToken && cachedExpiresAtMs > now + 5000) {
-    return cachedAccessToken;
+/**
+ * Creates the error thrown when a caller cancels through an AbortSignal
+ * @param {AbortSignal} [signal] - The aborted signal
+ * @returns {FacebookAbortError} Cancellation error (never retried)
+ */
+export function createAbortError(signal) {
+  const reason = signal && signal.reason;
+  const error = new FacebookAbortError(
+    reason instanceof Error && reason.name !== 'AbortError' && reason.message
+      ? `Request cancelled: ${reason.message}`
+      : 'Request cancelled',
+    'REQUEST_ABORTED'
+  );
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Throws a FacebookAbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Caller's signal
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal);
   }
-  return null;
 }
 
+/**
+ * Sleep utility for retry and throttling delays
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Rejects with a FacebookAbortError when aborted
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError(signal));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError(signal));
+  };
+  const timeoutId = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
 /**
  * Validates that a value is a non-empty string.
  * @param {any} value
@@ -117,4 +415,17 @@ export function assertObject(value, name) {
   }
 }
 
-
+/**
+ * Matches an endpoint against a pattern where `*` matches one path segment
+ * (e.g. `me/*` matches `me/accounts`)
+ * @param {string} pattern - Endpoint pattern
+ * @param {string} endpoint - Endpoint
+ * @returns {boolean} Whether the pattern matches
+ */
+export function matchesEndpointPattern(pattern, endpoint) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${source}$`).test(endpoint);
+}
@@ -0,0 +1,152 @@
+// src/versions.js
+import { resolveContext } from './context.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { matchesEndpointPattern } from './utils.js';
+import { emitEvent } from './events.js';
+
+/**
+ * Graph API version lifecycle:
+ * - per-endpoint pinning with setConfig({ versions: { 'me/accounts': 'v22.0', '*': ... } })
+ *   (`*` matches one path segment; apiOptions.version still wins)
+ * - the `facebook-api-version` response header is compared with the requested version,
+ *   since Facebook silently upgrades calls to versions that are no longer available
+ * - requests using a version close to (or past) its sunset date raise a deprecation warning
+ * Warnings are emitted once per client as `version:warning` events and logged at `warn`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Release and expiry dates of Graph API versions, from Facebook's changelog.
+ * A version expires two years after the next one is released; `expires` is null
+ * until Facebook announces it. Extend or override with config.versionWarnings.sunsets.
+ */
+export const VERSION_SUNSETS = {
+  'v16.0': { released: '2023-02-02', expires: '2025-05-14' },
+  'v17.0': { released: '2023-05-23', expires: '2025-09-12' },
+  'v18.0': { released: '2023-09-12', expires: '2026-01-26' },
+  'v19.0': { released: '2024-01-23', expires: '2026-05-21' },
+  'v20.0': { released: '2024-05-21', expires: '2026-09-24' },
+  'v21.0': { released: '2024-10-02', expires: '2027-02-03' },
+  'v22.0': { released: '2025-01-21', expires: null },
+  'v23.0': { released: '2025-05-29', expires: null }
+};
+
+/**
+ * Warnings already emitted, per client context
+ */
+const warnedByClient = new WeakMap();
+
+function warnOnce(client, key, payload) {
+  if (!warnedByClient.has(client)) {
+    warnedByClient.set(client, new Set());
+  }
+  const warned = warnedByClient.get(client);
+  if (warned.has(key)) return;
+
+  warned.add(key);
+  emitEvent(client, 'version:warning', payload);
+}
+
+/**
+ * Resolves version warning settings from config
+ * @param {object} config - Resolved configuration
+ * @returns {object} { enabled, warnDays, sunsets }
+ */
+function getWarningSettings(config) {
+  const settings = { ...DEFAULT_CONFIG.versionWarnings, ...config.versionWarnings };
+  return { ...settings, sunsets: { ...VERSION_SUNSETS, ...settings.sunsets } };
+}
+
+/**
+ * Resolves the version a request is sent with:
+ * apiOptions.version, then the first matching `versions` pin, then config.version
+ * @param {string} endpoint - Endpoint
+ * @param {object} [options={}] - Graph API options
+ * @param {object} config - Resolved configuration
+ * @returns {string} Version (e.g. v23.0)
+ */
+export function resolveVersion(endpoint, options = {}, config) {
+  if (options.version) {
+    return options.version;
+  }
+
+  const pins = config.versions || {};
+  const path = String(endpoint || '').replace(/^\/+|\/+$/g, '');
+  const pattern = Object.keys(pins).find((key) => matchesEndpointPattern(key, path));
+  return pattern ? pins[pattern] : config.version;
+}
+
+/**
+ * Describes where a version stands in its lifecycle
+ * @param {string} version - Version (e.g. v23.0)
+ * @param {object} [options={}] - Options
+ * @param {object} [options.client] - Client context (defaults to the global config)
+ * @returns {object} { version, released, expires, daysLeft, status: 'active'|'expiring'|'expired'|'unknown' }
+ */
+export function getVersionInfo(version, options = {}) {
+  const { sunsets, warnDays } = getWarningSettings(resolveContext(options).getConfig());
+  const entry = sunsets[version];
+
+  if (!entry) {
+    return { version, released: null, expires: null, daysLeft: null, status: 'unknown' };
+  }
+  if (!entry.expires) {
+    return { version, released: entry.released, expires: null, daysLeft: null, status: 'active' };
+  }
+
+  const daysLeft = Math.floor((Date.parse(entry.expires) - Date.now()) / DAY_MS);
+  let status = 'active';
+  if (daysLeft < 0) status = 'expired';
+  else if (daysLeft <= warnDays) status = 'expiring';
+
+  return { version, released: entry.released, expires: entry.expires, daysLeft, status };
+}
+
+/**
+ * Warns (once per version) when a request uses a version close to or past its sunset
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @param {string} version - Requested version
+ */
+export function checkVersionSunset(client, config, version) {
+  if (getWarningSettings(config).enabled === false) return;
+
+  const info = getVersionInfo(version, { client });
+  if (info.status !== 'expiring' && info.status !== 'expired') return;
+
+  warnOnce(client, `sunset:${version}`, {
+    type: info.status === 'expired' ? 'expired' : 'deprecation',
+    version,
+    expires: info.expires,
+    daysLeft: info.daysLeft,
+    message: info.status === 'expired'
+      ? `Graph API ${version} expired on ${info.expires}; Facebook upgrades these calls to the oldest available version`
+      : `Graph API ${version} expires on ${info.expires} (${info.daysLeft} days left)`
+  });
+}
+
+/**
+ * Warns (once per version pair) when Facebook answered with another version than requested
+ * @param {object} client - Client context
+ * @param {object} config - Resolved configuration
+ * @param {string} version - Requested version
+ * @param {Headers} headers - Response headers
+ * @param {string} endpoint - Endpoint of the request
+ */
+export function checkEffectiveVersion(client, config, version, headers, endpoint) {
+  if (getWarningSettings(config).enabled === false) return;
+
+  const effective = headers && typeof headers.get === 'function'
+    ? headers.get('facebook-api-version')
+    : null;
+  if (!effective || effective === version) return;
+
+  warnOnce(client, `mismatch:${version}:${effective}`, {
+    type: 'mismatch',
+    version,
+    effectiveVersion: effective,
+    endpoint,
+    message: `Requested Graph API ${version} but Facebook answered with ${effective}`
+  });
+}
@@ -0,0 +1,51 @@
+import { mockClient } from './helpers.js';
+
+/**
+ * Page `n` of an edge with three pages
+ */
+const page = (n) => ({
+  data: [{ id: `item-${n}` }],
+  paging: n < 3 ? { cursors: { after: `c${n}` }, next: `https://graph.facebook.com/P1/posts?after=c${n}` } : {}
+});
+
+/**
+ * Response that never arrives, failing like fetch once the call is aborted
+ */
+const hang = (call) => new Promise((resolve, reject) => {
+  call.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+describe('cancellation', () => {
+  test('stops paginating between pages once the signal aborts', async () => {
+    const { client, calls } = mockClient((call, count) => page(count), { token: 'TOKEN' });
+    const controller = new AbortController();
+    const items = client.paginate('P1/posts', 'TOKEN', { limit: 1 }, { signal: controller.signal });
+
+    expect((await items.next()).value).toEqual({ id: 'item-1' });
+    controller.abort();
+
+    await expect(items.next()).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('cancels the page in flight and never retries it', async () => {
+    const controller = new AbortController();
+    const { client, calls } = mockClient((call, count) => (count === 1 ? page(1) : hang(call)), { token: 'TOKEN' });
+
+    const collecting = client.collectAll('P1/posts', 'TOKEN', { limit: 1 }, { signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(collecting).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    expect(calls).toHaveLength(2);
+    expect(calls[1].signal.aborted).toBe(true);
+  });
+
+  test('fails at once when the signal is already aborted', async () => {
+    const { client, calls } = mockClient(null, { token: 'TOKEN' });
+
+    await expect(client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    expect(calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,73 @@
+import { mockClient } from './helpers.js';
+
+/**
+ * Builds a client whose transport answers batch calls with `respond(items, count)`
+ * and records every batch it receives
+ */
+function batchClient(respond) {
+  const batches = [];
+  const { client } = mockClient((call, count) => {
+    const items = JSON.parse(call.body.batch);
+    batches.push(items);
+    return respond(items, count);
+  }, { token: 'TOKEN' });
+  return { client, batches };
+}
+
+const ok = (body) => ({ code: 200, headers: [], body: JSON.stringify(body) });
+const failure = (code, status = 500) => ({
+  code: status,
+  headers: [],
+  body: JSON.stringify({ error: { code, message: `error ${code}` } })
+});
+
+describe('batchGraphAPI', () => {
+  test('sends requests in chunks of 50 and returns results in request order', async () => {
+    const { client, batches } = batchClient((items) => items.map((item) => ok({ name: item.name })));
+    const requests = Array.from({ length: 120 }, (_, index) => ({ endpoint: `item${index}`, name: `r${index}` }));
+
+    const results = await client.batchGraphAPI(requests);
+
+    expect(batches.map((items) => items.length)).toEqual([50, 50, 20]);
+    expect(results).toHaveLength(120);
+    expect(results[119]).toMatchObject({ name: 'r119', code: 200, data: { name: 'r119' }, error: null });
+  });
+
+  test('keeps depends_on within a chunk', async () => {
+    const { client, batches } = batchClient((items) => items.map(() => ok({})));
+    const requests = [
+      { endpoint: 'me/accounts', name: 'pages' },
+      { endpoint: 'me', name: 'profile', dependsOn: 'pages' }
+    ];
+
+    await client.batchGraphAPI(requests);
+
+    expect(batches[0][1]).toMatchObject({ name: 'profile', depends_on: 'pages' });
+  });
+
+  test('rejects a dependency on an item of another chunk before sending it', async () => {
+    const { client, batches } = batchClient((items) => items.map(() => ok({})));
+    const requests = Array.from({ length: 51 }, (_, index) => ({ endpoint: `item${index}`, name: `r${index}` }));
+    requests[50].depends_on = 'r0';
+
+    await expect(client.batchGraphAPI(requests)).rejects.toThrow('depends on "r0"');
+    expect(batches).toHaveLength(1);
+  });
+
+  test('retries failed independent items alone, never dependent ones', async () => {
+    const { client, batches } = batchClient((items, call) =>
+      items.map((item) => (call === 1 ? failure(2) : ok({ name: item.name }))));
+    const requests = [
+      { endpoint: 'a', name: 'a' },
+      { endpoint: 'b', name: 'b', dependsOn: 'a' },
+      { endpoint: 'c', name: 'c', params: { ids: '{result=a:$.data.*.id}' } }
+    ];
+
+    const results = await client.batchGraphAPI(requests, undefined, { itemRetryAttempts: 1 });
+
+    expect(batches.map((items) => items.map((item) => item.name))).toEqual([['a', 'b', 'c'], ['a']]);
+    expect(results[0].error).toBeNull();
+    expect(results[1].error).not.toBeNull();
+    expect(results[2].error).not.toBeNull();
+  });
+});
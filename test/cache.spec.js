@@ -0,0 +1,60 @@
+import { mockClient } from './helpers.js';
+
+const cacheClient = (cache = { ttl: 1000 }) =>
+  mockClient(({ path }, count) => ({ path, count }), { token: 'TOKEN', cache });
+
+describe('response cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves identical GETs from the cache until their TTL runs out', async () => {
+    const { client, calls } = cacheClient();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const first = await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    first.path = 'changed';
+    expect(await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' })).toEqual({ path: 'me', count: 1 });
+
+    clock.mockReturnValue(now + 1000);
+    expect(await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' })).toEqual({ path: 'me', count: 2 });
+    expect(calls).toHaveLength(2);
+  });
+
+  test('keys entries by params and token, and never caches writes', async () => {
+    const { client, calls } = cacheClient();
+
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id,name' });
+    await client.graphAPI('me', 'OTHER_TOKEN', 'GET', { fields: 'id' });
+    await client.graphAPI('me/feed', 'TOKEN', 'POST', { message: 'hi' });
+    await client.graphAPI('me/feed', 'TOKEN', 'POST', { message: 'hi' });
+
+    expect(calls).toHaveLength(5);
+  });
+
+  test('applies per-endpoint TTLs and per-call overrides', async () => {
+    const { client, calls } = cacheClient({ ttl: 1000, ttls: { 'me/*': 0 } });
+
+    await client.graphAPI('me/accounts', 'TOKEN', 'GET', { limit: 1 });
+    await client.graphAPI('me/accounts', 'TOKEN', 'GET', { limit: 1 });
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { cache: false });
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { cache: { refresh: true } });
+
+    expect(calls.map((call) => call.path)).toEqual(['me/accounts', 'me/accounts', 'me', 'me', 'me']);
+  });
+
+  test('invalidateCache removes an endpoint and its edges', async () => {
+    const { client, calls } = cacheClient();
+    const read = (endpoint) => client.graphAPI(endpoint, 'TOKEN', 'GET', { fields: 'id' });
+
+    await Promise.all([read('P1'), read('P1/posts'), read('P2')]);
+
+    expect(await client.invalidateCache('P1')).toBe(2);
+    await Promise.all([read('P1'), read('P1/posts'), read('P2')]);
+
+    expect(calls.map((call) => call.path).sort()).toEqual(['P1', 'P1', 'P1/posts', 'P1/posts', 'P2']);
+  });
+});
@@ -0,0 +1,101 @@
+import { mockClient } from './helpers.js';
+import { createInFlightRegistry } from '../src/utils.js';
+
+/**
+ * Client whose responses wait for release(); a call aborted meanwhile fails like fetch does
+ */
+function pendingClient() {
+  const releases = [];
+  const { client, calls } = mockClient((call) => new Promise((resolve, reject) => {
+    releases.push(() => resolve({ id: call.path }));
+    if (call.signal) {
+      call.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }
+  }), { token: 'TOKEN', retryAttempts: 0 });
+  const release = () => releases.splice(0).forEach((resolve) => resolve());
+  return { client, calls, release };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('in-flight GET deduplication', () => {
+  test('joins an identical GET already in flight and gives each caller its own copy', async () => {
+    const { client, calls, release } = pendingClient();
+
+    const first = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    const second = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await flush();
+    release();
+    const [a, b] = await Promise.all([first, second]);
+
+    expect(calls).toHaveLength(1);
+    expect(a).toEqual({ id: 'me' });
+    expect(a).not.toBe(b);
+  });
+
+  test('sends writes, other params and dedupe: false calls on their own', async () => {
+    const { client, calls, release } = pendingClient();
+
+    const pending = [
+      client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }),
+      client.graphAPI('me', 'TOKEN', 'GET', { fields: 'name' }),
+      client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { dedupe: false }),
+      client.graphAPI('me/feed', 'TOKEN', 'POST', { message: 'hi' }),
+      client.graphAPI('me/feed', 'TOKEN', 'POST', { message: 'hi' })
+    ];
+    await flush();
+    release();
+    await Promise.all(pending);
+
+    expect(calls).toHaveLength(5);
+  });
+
+  test('a caller aborting leaves the shared request to the others', async () => {
+    const { client, calls, release } = pendingClient();
+    const controller = new AbortController();
+
+    const leaving = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { signal: controller.signal });
+    const staying = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await flush();
+    controller.abort();
+
+    await expect(leaving).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    expect(calls[0].signal.aborted).toBe(false);
+    release();
+    await expect(staying).resolves.toEqual({ id: 'me' });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('the shared request is cancelled once every caller aborted', async () => {
+    const { client, calls } = pendingClient();
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const pending = [
+      client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { signal: first.signal }),
+      client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { signal: second.signal })
+    ];
+    await flush();
+    first.abort();
+    second.abort();
+
+    await Promise.allSettled(pending);
+    expect(calls[0].signal.aborted).toBe(true);
+  });
+});
+
+describe('createInFlightRegistry', () => {
+  test('shares a pending operation unless fresh is set', async () => {
+    const registry = createInFlightRegistry();
+    const operation = jest.fn(async () => ({}));
+
+    const shared = [registry.run('key', operation), registry.run('key', operation)];
+    const fresh = registry.run('key', operation, { fresh: true });
+    const results = await Promise.all([...shared, fresh]);
+
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(results[0]).toBe(results[1]);
+    expect(results[2]).not.toBe(results[0]);
+    expect(registry.has('key')).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { mockClient, replyError } from './helpers.js';
+import { createFacebookError, FacebookAbortError, FacebookTimeoutError } from '../src/errors.js';
+
+const fbError = (code, details = {}) => ({ code, message: `error ${code}`, ...details });
+
+describe('Facebook error details', () => {
+  test('carry the details of the Graph API error', async () => {
+    const { client } = mockClient(() => replyError(100, 400, {
+      error_subcode: 33,
+      type: 'GraphMethodException',
+      error_user_title: 'Title',
+      error_user_msg: 'Shown to users',
+      fbtrace_id: 'TRACE'
+    }), { token: 'TOKEN' });
+
+    await expect(client.graphAPI('P1', 'TOKEN', 'GET', { fields: 'id' })).rejects.toMatchObject({
+      code: 'API_PARAMETER',
+      statusCode: 400,
+      subcode: 33,
+      type: 'GraphMethodException',
+      userTitle: 'Title',
+      userMessage: 'Shown to users',
+      fbtraceId: 'TRACE',
+      isTransient: false,
+      isRetryable: false,
+      recommendedAction: 'fix-request'
+    });
+  });
+
+  test('tell temporary failures from rate limits', () => {
+    const service = createFacebookError(fbError(2), 500);
+    const flagged = createFacebookError(fbError(100, { is_transient: true }), 400);
+    const limited = createFacebookError(fbError(613), 400);
+    const blocked = createFacebookError(fbError(368), 400);
+
+    expect(service).toMatchObject({ isTransient: true, isRetryable: true, recommendedAction: 'retry' });
+    expect(flagged).toMatchObject({ isTransient: true, isRetryable: true, recommendedAction: 'retry' });
+    expect(limited).toMatchObject({ code: 'API_RATE_LIMIT', isTransient: false, isRetryable: true, recommendedAction: 'wait' });
+    expect(blocked).toMatchObject({ isRetryable: false, recommendedAction: 'wait' });
+    expect(new FacebookTimeoutError('slow', 'REQUEST_TIMEOUT')).toMatchObject({ isTransient: true, recommendedAction: 'retry' });
+  });
+
+  test('recommend logging in again or asking for permissions', () => {
+    expect(createFacebookError(fbError(190), 401)).toMatchObject({ code: 'AUTH_TOKEN_INVALID', isRetryable: false, recommendedAction: 'relogin' });
+    expect(createFacebookError(fbError(200), 403)).toMatchObject({ code: 'PERMISSION_DENIED', recommendedAction: 'request-permission' });
+    expect(new FacebookAbortError('stopped')).toMatchObject({ isRetryable: false, recommendedAction: 'none' });
+  });
+
+  test('map subcodes to a reason and action', () => {
+    expect(createFacebookError(fbError(190, { error_subcode: 463 }), 401))
+      .toMatchObject({ subcode: 463, subcodeReason: 'SESSION_EXPIRED', recommendedAction: 'relogin' });
+    expect(createFacebookError(fbError(190, { error_subcode: 459 }), 401))
+      .toMatchObject({ subcodeReason: 'USER_CHECKPOINTED', recommendedAction: 'user-action' });
+    expect(createFacebookError(fbError(190, { error_subcode: 1 }), 401)).toMatchObject({ subcodeReason: null });
+  });
+
+  test('treat Business Use Case codes as rate limits', () => {
+    [80000, 80004, 80014].forEach((code) => {
+      expect(createFacebookError(fbError(code), 400))
+        .toMatchObject({ code: 'API_RATE_LIMIT', isRetryable: true, recommendedAction: 'wait' });
+    });
+    expect(createFacebookError(fbError(80015), 400)).toMatchObject({ code: 'API_ERROR', recommendedAction: 'fix-request' });
+  });
+});
@@ -0,0 +1,51 @@
+import { mockClient, reply, replyError } from './helpers.js';
+
+const createLogger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+describe('lifecycle events', () => {
+  test('correlate start and success of a request', async () => {
+    const logger = createLogger();
+    const { client } = mockClient(() => reply({ id: 'me' }, 200, { 'x-fb-trace-id': 'TRACE' }), { token: 'TOKEN', logger });
+    const events = [];
+    client.on('*', (event) => events.push(event));
+
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+
+    expect(events).toEqual([
+      expect.objectContaining({ event: 'request:start', endpoint: 'me', method: 'GET', attempt: 1 }),
+      expect.objectContaining({ event: 'request:success', status: 200, fbtraceId: 'TRACE', duration: expect.any(Number) })
+    ]);
+    expect(events[1].requestId).toBe(events[0].requestId);
+    expect(logger.debug).toHaveBeenCalledWith('Facebook request:success', expect.objectContaining({ endpoint: 'me' }));
+  });
+
+  test('report failed requests as request:error and log them at error', async () => {
+    const logger = createLogger();
+    const { client } = mockClient(() => replyError(100, 400, { fbtrace_id: 'TRACE' }), { token: 'TOKEN', logger });
+    const errors = [];
+    client.on('request:error', (event) => errors.push(event));
+
+    await expect(client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' })).rejects.toMatchObject({ code: 'API_PARAMETER' });
+
+    expect(errors).toEqual([expect.objectContaining({ status: 400, fbtraceId: 'TRACE', error: expect.objectContaining({ code: 'API_PARAMETER' }) })]);
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('keep listeners per client and never let them break a request', async () => {
+    const logger = createLogger();
+    const { client } = mockClient(null, { token: 'TOKEN', logger });
+    const other = mockClient(null, { token: 'TOKEN' }).client;
+    const seen = jest.fn();
+    other.on('request:success', seen);
+    client.on('request:start', () => {
+      throw new Error('listener bug');
+    });
+    const unsubscribe = client.on('request:success', seen);
+    unsubscribe();
+
+    await expect(client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' })).resolves.toEqual({});
+
+    expect(seen).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('Facebook request:start listener failed', expect.any(Object));
+  });
+});
@@ -0,0 +1,54 @@
+import { mockClient } from './helpers.js';
+import { field, fields, formatFields } from '../src/fields.js';
+
+describe('fields builder', () => {
+  test('serializes nested fields and modifiers to Graph API syntax', () => {
+    const selection = fields(
+      'id',
+      'message',
+      field('comments').limit(10).summary(true).fields('id', field('from').fields('name')),
+      field('picture').modifier('type', 'large'),
+      field('reactions').as('likes').limit(0).summary('total_count')
+    );
+
+    expect(selection.toString()).toBe(
+      'id,message,comments.limit(10).summary(true){id,from{name}},picture.type(large),' +
+      'reactions.as(likes).limit(0).summary(total_count)'
+    );
+    expect(JSON.stringify({ fields: selection })).toBe(JSON.stringify({ fields: selection.toString() }));
+  });
+
+  test('returns new builders and replaces a repeated modifier', () => {
+    const comments = field('comments').limit(10);
+    const more = comments.limit(50).fields('id');
+
+    expect(comments.toString()).toBe('comments.limit(10)');
+    expect(more.toString()).toBe('comments.limit(50){id}');
+    expect(fields('id').add('name').toString()).toBe('id,name');
+  });
+
+  test('turns Dates into Unix timestamps', () => {
+    const since = new Date('2024-01-01T00:00:00Z');
+
+    expect(field('posts').since(since).until('today').toString()).toBe('posts.since(1704067200).until(today)');
+    expect(() => field('posts').since(new Date('nope'))).toThrow(TypeError);
+  });
+
+  test('formatFields accepts strings, builders and arrays of either', () => {
+    expect(formatFields('id,name')).toBe('id,name');
+    expect(formatFields(['id', field('from').fields('name'), null])).toBe('id,from{name}');
+    expect(formatFields(undefined)).toBeUndefined();
+    expect(() => formatFields(42)).toThrow(TypeError);
+    expect(() => field('bad name')).toThrow(TypeError);
+    expect(() => field('comments').limit(-1)).toThrow(TypeError);
+  });
+
+  test('is sent serialized wherever options.fields is accepted', async () => {
+    const { client, calls } = mockClient(null, { token: 'TOKEN' });
+
+    await client.getProfile('TOKEN', { fields: fields('id', field('picture').modifier('type', 'large')) });
+    await client.getProfile('TOKEN', field('name'));
+
+    expect(calls.map((call) => call.query.fields)).toEqual(['id,picture.type(large)', 'name']);
+  });
+});
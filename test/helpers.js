@@ -0,0 +1,77 @@
+// test/helpers.js
+import { createClient } from '../src/client.js';
+
+/**
+ * Builds a Graph API response
+ * @param {any} body - JSON body
+ * @param {number} [status=200] - HTTP status
+ * @param {object} [headers={}] - Response headers
+ * @returns {Response} Response
+ */
+export function reply(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+/**
+ * Builds a Graph API error response
+ * @param {number} code - Facebook error code
+ * @param {number} [status=400] - HTTP status
+ * @param {object} [details={}] - Extra fields of the error object
+ * @returns {Response} Response
+ */
+export function replyError(code, status = 400, details = {}) {
+  return reply({ error: { code, message: `error ${code}`, ...details } }, status);
+}
+
+/**
+ * Reads a request body the way the Graph API would
+ * @param {any} body - fetch body
+ * @returns {object|string|null} Parsed body
+ */
+function parseBody(body) {
+  if (body == null) return null;
+  if (body instanceof FormData) return Object.fromEntries(body.entries());
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+/**
+ * Creates a client whose transport answers every call with `respond(call, count)` and
+ * records the calls. A call is { url (URL), path, query, method, headers, body, signal };
+ * `respond` returns a Response or a JSON body (sent with status 200) and may be async.
+ * Retries wait 1ms without jitter and throttling is off unless `options` says otherwise.
+ * @param {Function|null} respond - (call, count) => Response|object, or null to answer {}
+ * @param {object} [options={}] - createClient options
+ * @returns {object} { client, calls }
+ */
+export function mockClient(respond, options = {}) {
+  const calls = [];
+
+  const fetch = async (url, init = {}) => {
+    const parsed = new URL(url);
+    const call = {
+      url: parsed,
+      path: parsed.pathname.replace(/^\/v[\d.]+\//, ''),
+      query: Object.fromEntries(parsed.searchParams),
+      method: init.method || 'GET',
+      headers: init.headers || {},
+      body: parseBody(init.body),
+      signal: init.signal
+    };
+    calls.push(call);
+    const result = respond ? await respond(call, calls.length) : {};
+    return result instanceof Response ? result : reply(result);
+  };
+
+  const client = createClient({
+    fetch,
+    retryDelay: 1,
+    retry: { jitter: 'none' },
+    rateLimit: { enabled: false },
+    ...options
+  });
+  return { client, calls };
+}
@@ -0,0 +1,133 @@
+import { mockClient } from './helpers.js';
+
+const REDIRECT_URI = 'https://app.example.com/fb-callback';
+
+const oauthClient = () => mockClient(null, {
+  appId: 'APP',
+  appSecret: 'SECRET',
+  oauth: { redirectUri: REDIRECT_URI, stateTtl: 60 * 1000 }
+}).client;
+
+const tokenCallback = (state) =>
+  `/fb-callback#access_token=USER_TOKEN&expires_in=3600&granted_scopes=public_profile,email&denied_scopes=&state=${state}`;
+
+describe('Login Dialog flow', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.window;
+  });
+
+  test('builds the dialog URL with a random state', async () => {
+    const client = oauthClient();
+
+    const { url, state } = await client.createOAuthUrl({ scope: ['public_profile', 'email'] });
+    const params = new URL(url).searchParams;
+
+    expect(state).toMatch(/^[0-9a-f]{64}$/);
+    expect(params.get('state')).toBe(state);
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(params.get('scope')).toBe('public_profile,email');
+  });
+
+  test('reads and stores the token of a callback with a pending state', async () => {
+    const client = oauthClient();
+    const { state } = await client.createOAuthUrl();
+
+    const result = await client.handleOAuthCallback(tokenCallback(state));
+
+    expect(result).toEqual({
+      accessToken: 'USER_TOKEN',
+      expiresIn: 3600,
+      grantedScopes: ['public_profile', 'email'],
+      deniedScopes: [],
+      state
+    });
+    expect(client.findToken('USER_TOKEN')).toMatchObject({ name: 'user' });
+  });
+
+  test('rejects a forged state', async () => {
+    const client = oauthClient();
+    await client.createOAuthUrl();
+
+    await expect(client.handleOAuthCallback(tokenCallback('forged')))
+      .rejects.toMatchObject({ code: 'OAUTH_STATE_MISMATCH' });
+    expect(client.findToken('USER_TOKEN')).toBeNull();
+  });
+
+  test('accepts each state only once', async () => {
+    const client = oauthClient();
+    const { state } = await client.createOAuthUrl();
+
+    await client.handleOAuthCallback(tokenCallback(state));
+
+    await expect(client.handleOAuthCallback(tokenCallback(state)))
+      .rejects.toMatchObject({ code: 'OAUTH_STATE_MISMATCH' });
+  });
+
+  test('rejects a state that came back after stateTtl', async () => {
+    const client = oauthClient();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const { state } = await client.createOAuthUrl();
+
+    clock.mockReturnValue(now + 60 * 1000);
+
+    await expect(client.handleOAuthCallback(tokenCallback(state)))
+      .rejects.toMatchObject({ code: 'OAUTH_STATE_MISMATCH' });
+  });
+
+  test('accepts a state kept by the caller', async () => {
+    const client = oauthClient();
+
+    const result = await client.handleOAuthCallback('/fb-callback?code=CODE&state=COOKIE', { state: 'COOKIE' });
+
+    expect(result).toEqual({ code: 'CODE', redirectUri: null, state: 'COOKIE' });
+  });
+
+  test('returns the code of the code flow with its redirect URI', async () => {
+    const client = oauthClient();
+    const { state } = await client.createOAuthUrl({ responseType: 'code' });
+
+    const result = await client.handleOAuthCallback(`/fb-callback?code=CODE&state=${state}`);
+
+    expect(result).toEqual({ code: 'CODE', redirectUri: REDIRECT_URI, state });
+  });
+
+  test('reports a cancelled login', async () => {
+    const client = oauthClient();
+    const { state } = await client.createOAuthUrl();
+
+    await expect(client.handleOAuthCallback(
+      `/fb-callback?error=access_denied&error_reason=user_denied&state=${state}`
+    )).rejects.toMatchObject({ code: 'AUTH_CANCELLED' });
+  });
+
+  test('removes only the login parameters from the address bar', async () => {
+    const client = oauthClient();
+    const { state } = await client.createOAuthUrl({ responseType: 'code' });
+    const replaceState = jest.fn();
+    globalThis.window = {
+      location: { href: `${REDIRECT_URI}?tab=leads&code=CODE&state=${state}` },
+      history: { replaceState }
+    };
+
+    await client.handleOAuthCallback();
+
+    expect(replaceState).toHaveBeenCalledWith(null, '', '/fb-callback?tab=leads');
+  });
+
+  test('exchanges a code for a token with the app credentials', async () => {
+    const { client, calls } = mockClient(() => ({ access_token: 'CODE_TOKEN', expires_in: 5184000 }), {
+      appId: 'APP',
+      appSecret: 'SECRET',
+      oauth: { redirectUri: REDIRECT_URI }
+    });
+
+    const result = await client.exchangeCodeForToken('CODE');
+
+    expect(calls[0].path).toBe('oauth/access_token');
+    expect(calls[0].query).toMatchObject({ client_id: 'APP', redirect_uri: REDIRECT_URI, code: 'CODE' });
+    expect(result).toMatchObject({ accessToken: 'CODE_TOKEN', expiresIn: 5184000 });
+    expect(client.findToken('CODE_TOKEN')).toMatchObject({ name: 'user' });
+  });
+});
@@ -0,0 +1,62 @@
+import { mockClient, replyError } from './helpers.js';
+
+/**
+ * Client whose user token manages page P1 only
+ */
+const pagesClient = () => mockClient(({ path }) => {
+  if (path === 'me/accounts') return { data: [{ id: 'P1', access_token: 'P1_TOKEN' }] };
+  return { id: 'ok', data: [] };
+}, { token: 'USER_TOKEN' });
+
+const tokenOf = (calls, path) => calls.find((call) => call.path === path).query.access_token;
+
+describe('page access tokens', () => {
+  test('swaps a user token for the token of a managed page', async () => {
+    const { client, calls } = pagesClient();
+
+    await client.getPageInfo('P1', 'USER_TOKEN');
+    await client.getLeadForms('P1', 'USER_TOKEN');
+
+    expect(tokenOf(calls, 'P1')).toBe('P1_TOKEN');
+    expect(tokenOf(calls, 'P1/leadgen_forms')).toBe('P1_TOKEN');
+    expect(client.findToken('P1_TOKEN')).toMatchObject({ name: 'page:P1' });
+  });
+
+  test('reads public data of other pages with the user token', async () => {
+    const { client, calls } = pagesClient();
+
+    await client.getPageInfo('P2', 'USER_TOKEN');
+    await client.getPagePosts('P2', 'USER_TOKEN');
+    await client.getComments('U7_9', 'USER_TOKEN');
+
+    expect(tokenOf(calls, 'P2')).toBe('USER_TOKEN');
+    expect(tokenOf(calls, 'P2/posts')).toBe('USER_TOKEN');
+    expect(tokenOf(calls, 'U7_9/comments')).toBe('USER_TOKEN');
+    expect(calls.filter((call) => call.path === 'me/accounts')).toHaveLength(1);
+  });
+
+  test('refuses page functions that need a token of a page the user does not manage', async () => {
+    const { client, calls } = pagesClient();
+
+    await expect(client.getLeadForms('P2', 'USER_TOKEN')).rejects.toMatchObject({ code: 'PAGE_NOT_ACCESSIBLE' });
+    expect(calls.some((call) => call.path === 'P2/leadgen_forms')).toBe(false);
+  });
+
+  test('uses page tokens as-is without reporting the failed lookup', async () => {
+    const logger = { error: jest.fn() };
+    const { client, calls } = mockClient(
+      ({ path }) => (path === 'me/accounts' ? replyError(100) : { id: 'P1' }),
+      { logger }
+    );
+    const errors = [];
+    client.on('request:error', (event) => errors.push(event));
+
+    await client.getPageInfo('P1', 'P1_TOKEN');
+    await client.getPageInfo('P1', 'P1_TOKEN');
+
+    expect(calls.map((call) => call.path)).toEqual(['me/accounts', 'P1', 'P1']);
+    expect(tokenOf(calls, 'P1')).toBe('P1_TOKEN');
+    expect(errors).toEqual([]);
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { mockClient, reply, replyError } from './helpers.js';
+
+const granted = (...permissions) => ({
+  permissions: { data: permissions.map((permission) => ({ permission, status: 'granted' })) }
+});
+
+const isPermissionLookup = (call) => call.path === 'me' && call.query.fields === 'permissions';
+
+/**
+ * Client whose user token holds `permissions`, with the preflight check on
+ */
+const preflightClient = (permissions) => mockClient(
+  (call) => (isPermissionLookup(call) ? granted(...permissions) : { id: 'ok', data: [] }),
+  { token: 'TOKEN', permissions: { preflight: true } }
+);
+
+describe('permission manifest', () => {
+  test('fills missing permissions from the message, or else from the manifest', async () => {
+    const { client } = mockClient((call, count) => reply({
+      error: { code: 200, message: count === 1 ? '(#200) Requires pages_read_engagement permission' : '(#200) Permissions error' }
+    }, 403), { token: 'TOKEN' });
+
+    await expect(client.getProfile('TOKEN')).rejects.toMatchObject({
+      code: 'PERMISSION_DENIED',
+      missingPermissions: ['pages_read_engagement'],
+      requiredPermissions: ['public_profile']
+    });
+    await expect(client.getProfile('TOKEN')).rejects.toMatchObject({ missingPermissions: ['public_profile'] });
+  });
+});
+
+describe('preflightPermissions', () => {
+  test('is off by default', async () => {
+    const { client, calls } = mockClient(null, { token: 'TOKEN' });
+
+    await client.getProfile('TOKEN');
+
+    expect(calls.some(isPermissionLookup)).toBe(false);
+  });
+
+  test('refuses calls needing permissions that were not granted, fetching them once', async () => {
+    const { client, calls } = preflightClient(['public_profile', 'pages_read_engagement']);
+
+    await client.getProfile('TOKEN');
+    await expect(client.getComments('P1_1', 'TOKEN')).rejects.toMatchObject({
+      code: 'MISSING_PERMISSIONS',
+      missingPermissions: ['pages_read_user_content'],
+      requiredPermissions: ['pages_read_engagement', 'pages_read_user_content']
+    });
+
+    expect(calls.filter(isPermissionLookup)).toHaveLength(1);
+    expect(calls.some((call) => call.path === 'P1_1/comments')).toBe(false);
+  });
+
+  test('can be turned on or off per call', async () => {
+    const { client, calls } = preflightClient([]);
+
+    await client.getProfile('TOKEN', { preflight: false });
+    await expect(client.getProfile('TOKEN')).rejects.toMatchObject({ code: 'MISSING_PERMISSIONS' });
+
+    expect(calls.filter((call) => call.path === 'me')).toHaveLength(2);
+  });
+
+  test('does not check page tokens, nor reports their failed lookup', async () => {
+    const logger = { error: jest.fn() };
+    const { client, calls } = mockClient(
+      (call) => (isPermissionLookup(call) ? replyError(100) : { id: 'P1' }),
+      { logger, permissions: { preflight: true } }
+    );
+    const errors = [];
+    client.on('request:error', (event) => errors.push(event));
+
+    await expect(client.getProfile('P1_TOKEN')).resolves.toEqual({ id: 'P1' });
+    await client.getProfile('P1_TOKEN');
+
+    expect(calls.filter(isPermissionLookup)).toHaveLength(1);
+    expect(errors).toEqual([]);
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+});
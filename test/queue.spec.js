@@ -0,0 +1,124 @@
+import { createTaskQueue } from '../src/queue.js';
+import { mockClient } from './helpers.js';
+
+/**
+ * Task recording its start in `log` and finishing when the test calls the returned release
+ */
+function blocker(log, name) {
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  return {
+    task: async () => {
+      log.push(name);
+      await done;
+      return name;
+    },
+    release: () => release()
+  };
+}
+
+const recorder = (log, name) => async () => {
+  log.push(name);
+  return name;
+};
+
+describe('task queue', () => {
+  test('runs waiting tasks by priority, then in order', async () => {
+    const log = [];
+    const queue = createTaskQueue({ concurrency: 1 });
+    const first = blocker(log, 'first');
+
+    const results = [
+      queue.add(first.task),
+      queue.add(recorder(log, 'low'), { priority: 'low' }),
+      queue.add(recorder(log, 'normal-1')),
+      queue.add(recorder(log, 'high'), { priority: 'high' }),
+      queue.add(recorder(log, 'normal-2')),
+      queue.add(recorder(log, 'urgent'), { priority: 20 })
+    ];
+    first.release();
+    await Promise.all(results);
+
+    expect(log).toEqual(['first', 'urgent', 'high', 'normal-1', 'normal-2', 'low']);
+  });
+
+  test('lets keys take turns so one key cannot starve another', async () => {
+    const log = [];
+    const queue = createTaskQueue({ concurrency: 1 });
+    const first = blocker(log, 'a0');
+
+    const results = [
+      queue.add(first.task, { key: 'a' }),
+      ...['a1', 'a2', 'a3'].map((name) => queue.add(recorder(log, name), { key: 'a' })),
+      ...['b1', 'b2'].map((name) => queue.add(recorder(log, name), { key: 'b' }))
+    ];
+    first.release();
+    await Promise.all(results);
+
+    expect(log).toEqual(['a0', 'b1', 'a1', 'b2', 'a2', 'a3']);
+  });
+
+  test('caps running tasks per key', async () => {
+    const log = [];
+    const queue = createTaskQueue({ concurrency: 3, perKeyConcurrency: 1 });
+    const a = blocker(log, 'a1');
+
+    const results = [
+      queue.add(a.task, { key: 'a' }),
+      queue.add(recorder(log, 'a2'), { key: 'a' }),
+      queue.add(recorder(log, 'b1'), { key: 'b' })
+    ];
+    await queue.add(async () => {}, { key: 'c' });
+
+    expect(log).toEqual(['a1', 'b1']);
+    a.release();
+    await Promise.all(results);
+    expect(log).toEqual(['a1', 'b1', 'a2']);
+  });
+
+  test('drops a waiting task whose signal aborts', async () => {
+    const log = [];
+    const queue = createTaskQueue({ concurrency: 1 });
+    const first = blocker(log, 'first');
+    const controller = new AbortController();
+
+    const running = queue.add(first.task);
+    const dropped = queue.add(recorder(log, 'dropped'), { signal: controller.signal });
+    controller.abort();
+    first.release();
+
+    await expect(dropped).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    await running;
+    expect(log).toEqual(['first']);
+  });
+  test('the shared queue follows the client queue config', async () => {
+    const { client } = mockClient(null, { queue: { concurrency: 2 } });
+    const log = [];
+    const tasks = ['t1', 't2', 't3'].map((name) => blocker(log, name));
+
+    const results = client.mapWithQueue(tasks, ({ task }) => task());
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(log).toEqual(['t1', 't2']);
+    tasks.forEach(({ release }) => release());
+    await results;
+  });
+
+  test('the shared queue picks up queue config changes', async () => {
+    const { client } = mockClient(null, { queue: { concurrency: 4 } });
+    const log = [];
+    const tasks = ['t1', 't2', 't3'].map((name) => blocker(log, name));
+    client.getTaskQueue();
+
+    client.setConfig({ queue: { concurrency: 4, perKeyConcurrency: 1 } });
+    const results = client.mapWithQueue(tasks, ({ task }) => task(), { accessToken: 'TOKEN' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(log).toEqual(['t1']);
+    tasks.forEach(({ release }) => release());
+    await results;
+    expect(log).toEqual(['t1', 't2', 't3']);
+  });
+});
@@ -0,0 +1,69 @@
+import { mockClient, reply } from './helpers.js';
+
+const usage = (callCount, extra = {}) => JSON.stringify({ call_count: callCount, total_cputime: 0, total_time: 0, ...extra });
+
+/**
+ * Client whose responses carry the usage headers `headersFor(path)` returns
+ */
+const usageClient = (headersFor) => mockClient(
+  ({ path }) => reply({ id: path }, 200, headersFor(path) || {}),
+  { token: 'TOKEN', rateLimit: { enabled: true, throttleAt: 75, pauseAt: 95, maxDelay: 200 } }
+);
+
+const read = (client, endpoint) => client.graphAPI(endpoint, 'TOKEN', 'GET', { fields: 'id' });
+
+describe('rate limit awareness', () => {
+  test('reads app usage from the response headers', async () => {
+    const { client } = usageClient(() => ({ 'x-app-usage': usage(80, { total_time: 85 }) }));
+
+    await read(client, 'me');
+
+    expect(client.getUsageState()).toMatchObject({
+      app: { callCount: 80, totalTime: 85 },
+      maxUsage: 85,
+      regainAccessMs: 0
+    });
+  });
+
+  test('spaces out requests while usage is high', async () => {
+    const { client, calls } = usageClient(() => ({ 'x-app-usage': usage(94) }));
+    await read(client, 'me');
+
+    const startedAt = Date.now();
+    await read(client, 'me');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(150);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('applies page usage only to requests for that page', async () => {
+    const { client } = usageClient((path) => (path === 'P1' ? { 'x-page-usage': usage(90) } : null));
+
+    await read(client, 'P1');
+
+    expect(client.getUsageState({ endpoint: 'P1_5/comments' }).maxUsage).toBe(90);
+    expect(client.getUsageState({ endpoint: 'P2/posts' }).maxUsage).toBe(0);
+    expect(client.getUsageState().pages).toEqual({ P1: expect.objectContaining({ callCount: 90 }) });
+  });
+
+  test('applies business use case usage to the objects that reported it', async () => {
+    const { client } = usageClient((path) => (path === 'act_1/campaigns'
+      ? { 'x-business-use-case-usage': JSON.stringify({ B1: [{ type: 'ads_management', call_count: 99, estimated_time_to_regain_access: 1 }] }) }
+      : null));
+
+    await read(client, 'act_1/campaigns');
+
+    expect(client.getUsageState({ endpoint: 'act_1/adsets' })).toMatchObject({ maxUsage: 99, regainAccessMs: 60000 });
+    expect(client.getUsageState({ endpoint: 'B1/owned_pages' }).maxUsage).toBe(99);
+    expect(client.getUsageState({ endpoint: 'P2' }).maxUsage).toBe(0);
+  });
+
+  test('throttles only the requests to the object with high usage', async () => {
+    const { client, calls } = usageClient((path) => (path === 'P1' ? { 'x-page-usage': usage(100) } : null));
+    await read(client, 'P1');
+
+    await Promise.all([read(client, 'P1'), read(client, 'P2')]);
+
+    expect(calls.map((call) => call.path)).toEqual(['P1', 'P2', 'P1']);
+  });
+});
@@ -0,0 +1,120 @@
+import { mockClient, reply, replyError } from './helpers.js';
+import { computeRetryDelay } from '../src/retry.js';
+
+/**
+ * Answers the first `failures` calls with `failure()`, then succeeds
+ */
+const failFirst = (failures, failure) => (call, count) => (count <= failures ? failure() : { ok: true });
+
+const serverError = (headers = {}) => reply({ error: { code: 2, message: 'Service temporarily unavailable' } }, 503, headers);
+
+describe('retry policy', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('waits for Retry-After before the next attempt', async () => {
+    const { client, calls } = mockClient(failFirst(1, () => serverError({ 'retry-after': '2' })), { token: 'TOKEN' });
+
+    const result = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(calls).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(calls).toHaveLength(2);
+  });
+
+  test('backs off exponentially from retryDelay up to maxDelay', async () => {
+    const { client, calls } = mockClient(failFirst(3, serverError), {
+      token: 'TOKEN',
+      retryDelay: 100,
+      retry: { jitter: 'none', maxDelay: 300 }
+    });
+    const delays = [];
+    client.on('request:retry', ({ delay }) => delays.push(delay));
+
+    const result = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await jest.advanceTimersByTimeAsync(100 + 200 + 300);
+
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(delays).toEqual([100, 200, 300]);
+    expect(calls).toHaveLength(4);
+  });
+
+  test('keeps jittered delays within their bounds', () => {
+    const delay = (jitter, random) => {
+      jest.spyOn(Math, 'random').mockReturnValue(random);
+      return computeRetryDelay(3, { error: new Error('x'), retryDelay: 100 }, { jitter, maxDelay: 60000 });
+    };
+
+    expect(delay('full', 0)).toBe(0);
+    expect(delay('full', 0.999)).toBeLessThanOrEqual(400);
+    expect(delay('equal', 0)).toBe(200);
+    expect(delay('equal', 0.999)).toBeLessThanOrEqual(400);
+    expect(delay('none', 0.5)).toBe(400);
+  });
+
+  test('gives every attempt its own timeout', async () => {
+    const { client, calls } = mockClient((call, count) => (count > 1 ? { ok: true } : new Promise((resolve, reject) => {
+      call.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    })), { token: 'TOKEN', timeout: 1000 });
+
+    const result = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await jest.advanceTimersByTimeAsync(1001);
+
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(calls).toHaveLength(2);
+    expect(calls[1].signal.aborted).toBe(false);
+  });
+
+  test('fails at once on client errors, including POSTs, and replays POST bodies unchanged', async () => {
+    const { client, calls } = mockClient(({ body }, count) => {
+      if (body && body.message === 'bad') return replyError(100);
+      return count === 1 ? serverError() : { id: 'P1_1' };
+    }, { token: 'TOKEN' });
+
+    await expect(client.graphAPI('P1/feed', 'TOKEN', 'POST', { message: 'bad' })).rejects.toMatchObject({ code: 'API_PARAMETER' });
+    expect(calls).toHaveLength(1);
+
+    calls.length = 0;
+    const published = client.graphAPI('P1/feed', 'TOKEN', 'POST', { message: 'hi' });
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(published).resolves.toEqual({ id: 'P1_1' });
+    expect(calls.map((call) => call.body)).toEqual([{ message: 'hi' }, { message: 'hi' }]);
+  });
+
+  test('lets shouldRetry decide instead of the default check', async () => {
+    const shouldRetry = jest.fn((error, attempt) => attempt < 2);
+    const { client, calls } = mockClient(() => replyError(100), { token: 'TOKEN', retry: { jitter: 'none', shouldRetry } });
+
+    const result = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    const settled = expect(result).rejects.toMatchObject({ code: 'API_PARAMETER' });
+    await jest.advanceTimersByTimeAsync(10);
+    await settled;
+
+    expect(calls).toHaveLength(2);
+    expect(shouldRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+  });
+
+  test('never retries a cancelled request', async () => {
+    const shouldRetry = jest.fn(() => true);
+    const { client, calls } = mockClient(() => serverError({ 'retry-after': '5' }), { token: 'TOKEN', retry: { shouldRetry } });
+    const controller = new AbortController();
+
+    const result = client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' }, { signal: controller.signal });
+    const settled = expect(result).rejects.toMatchObject({ code: 'REQUEST_ABORTED' });
+    await jest.advanceTimersByTimeAsync(1000);
+    controller.abort();
+    await settled;
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(calls).toHaveLength(1);
+    expect(shouldRetry).toHaveBeenCalledTimes(1);
+  });
+});
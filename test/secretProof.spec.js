@@ -0,0 +1,56 @@
+import { createHmac } from 'node:crypto';
+import { mockClient } from './helpers.js';
+import { createAppSecretProof } from '../src/secretProof.js';
+
+const NOW = 1700000000;
+const proof = (token) => createHmac('sha256', 'SECRET').update(`${token}|${NOW}`).digest('hex');
+
+describe('appsecret_proof', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW * 1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is the HMAC-SHA256 of token|time keyed by the app secret', async () => {
+    expect(await createAppSecretProof('TOKEN', 'SECRET', NOW)).toEqual({
+      appsecret_proof: proof('TOKEN'),
+      appsecret_time: NOW
+    });
+    await expect(createAppSecretProof('TOKEN', '')).rejects.toThrow(TypeError);
+  });
+
+  test('signs GET queries and POST bodies when an appSecret is configured', async () => {
+    const { client, calls } = mockClient(null, { token: 'TOKEN', appSecret: 'SECRET' });
+
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+    await client.graphAPI('me/feed', 'TOKEN', 'POST', { message: 'hi' });
+
+    expect(calls[0].query).toMatchObject({ appsecret_proof: proof('TOKEN'), appsecret_time: String(NOW) });
+    expect(calls[1].body).toMatchObject({ message: 'hi', appsecret_proof: proof('TOKEN'), appsecret_time: NOW });
+  });
+
+  test('sends no proof without an appSecret', async () => {
+    const { client, calls } = mockClient(null, { token: 'TOKEN' });
+
+    await client.graphAPI('me', 'TOKEN', 'GET', { fields: 'id' });
+
+    expect(calls[0].query).not.toHaveProperty('appsecret_proof');
+  });
+
+  test('signs batch items that carry their own token with that token', async () => {
+    const { client, calls } = mockClient(
+      ({ body }) => JSON.parse(body.batch).map(() => ({ code: 200, headers: [], body: '{}' })),
+      { token: 'TOKEN', appSecret: 'SECRET' }
+    );
+
+    await client.batchGraphAPI([{ endpoint: 'P1' }, { endpoint: 'P2', accessToken: 'P2_TOKEN' }]);
+
+    const [own, other] = JSON.parse(calls[0].body.batch).map((item) => new URL(item.relative_url, 'https://x/'));
+    expect(calls[0].body).toMatchObject({ appsecret_proof: proof('TOKEN') });
+    expect(own.searchParams.has('appsecret_proof')).toBe(false);
+    expect(other.searchParams.get('appsecret_proof')).toBe(proof('P2_TOKEN'));
+  });
+});
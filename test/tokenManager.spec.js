@@ -0,0 +1,83 @@
+import { mockClient, replyError } from './helpers.js';
+
+/**
+ * Client whose stored user token is OLD; Facebook rejects OLD (and `rejected` tokens) with code 190
+ */
+function expiringClient(refresh, rejected = []) {
+  const logger = { warn: jest.fn(), error: jest.fn() };
+  const { client, calls } = mockClient(
+    ({ query }) => (query.access_token === 'OLD' || rejected.includes(query.access_token)
+      ? replyError(190, 401)
+      : { token: query.access_token }),
+    { token: 'OLD', logger, tokenRefresh: { refresh } }
+  );
+  const read = (token = 'OLD', apiOptions) => client.graphAPI('me', token, 'GET', { fields: 'id' }, apiOptions);
+  return { client, calls, logger, read };
+}
+
+const tokensOf = (calls) => calls.map((call) => call.query.access_token);
+
+describe('token recovery', () => {
+  test('refreshes an invalid stored token and replays the request once', async () => {
+    const refresh = jest.fn(async () => ({ accessToken: 'NEW', expiresIn: 3600 }));
+    const { client, calls, read } = expiringClient(refresh);
+
+    await expect(read()).resolves.toEqual({ token: 'NEW' });
+
+    expect(tokensOf(calls)).toEqual(['OLD', 'NEW']);
+    expect(refresh).toHaveBeenCalledWith(expect.objectContaining({ name: 'user', token: 'OLD', reason: 'invalid' }));
+    expect((await client.getToken('user')).token).toBe('NEW');
+  });
+
+  test('does not refresh again when the replay fails too', async () => {
+    const refresh = jest.fn(async () => 'NEW');
+    const { calls, read } = expiringClient(refresh, ['NEW']);
+
+    await expect(read()).rejects.toMatchObject({ code: 'AUTH_TOKEN_INVALID' });
+
+    expect(tokensOf(calls)).toEqual(['OLD', 'NEW']);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('shares one refresh between concurrent failures and reuses it for late ones', async () => {
+    let finish;
+    const refresh = jest.fn(() => new Promise((resolve) => {
+      finish = () => resolve('NEW');
+    }));
+    const { calls, read } = expiringClient(refresh);
+
+    const pending = [read(), read(undefined, { dedupe: false }), read(undefined, { dedupe: false })];
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    finish();
+    const results = await Promise.all(pending);
+    const late = await read(undefined, { dedupe: false });
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ token: 'NEW' }, { token: 'NEW' }, { token: 'NEW' }]);
+    expect(late).toEqual({ token: 'NEW' });
+    expect(tokensOf(calls).filter((token) => token === 'NEW')).toHaveLength(4);
+  });
+
+  test('gives up with the original error when the refresh fails', async () => {
+    const refresh = jest.fn(async () => {
+      throw new Error('backend down');
+    });
+    const { calls, logger, read } = expiringClient(refresh);
+
+    await expect(read()).rejects.toMatchObject({ code: 'AUTH_TOKEN_INVALID' });
+
+    expect(tokensOf(calls)).toEqual(['OLD']);
+    expect(logger.warn).toHaveBeenCalledWith('Facebook token refresh failed', expect.objectContaining({ name: 'user' }));
+  });
+
+  test('leaves tokens that were never stored and opted-out calls alone', async () => {
+    const refresh = jest.fn(async () => 'NEW');
+    const { calls, read } = expiringClient(refresh, ['LOOSE']);
+
+    await expect(read('LOOSE')).rejects.toMatchObject({ code: 'AUTH_TOKEN_INVALID' });
+    await expect(read('OLD', { tokenRecovery: false })).rejects.toMatchObject({ code: 'AUTH_TOKEN_INVALID' });
+
+    expect(tokensOf(calls)).toEqual(['LOOSE', 'OLD']);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+});
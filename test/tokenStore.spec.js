@@ -0,0 +1,61 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileTokenStore } from '../src/tokenStore.js';
+
+const entry = (token) => ({ token, type: 'page', expiresAt: null, updatedAt: 1 });
+
+describe('createFileTokenStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'interact-fb-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps every entry written while the file is first loaded', async () => {
+    const path = join(dir, 'tokens.json');
+    const store = createFileTokenStore(path, { secret: 's3cret' });
+
+    await Promise.all([
+      store.set('page:1', entry('A')),
+      ...Array.from({ length: 5 }, () => store.get('page:1')),
+      store.set('page:2', entry('B'))
+    ]);
+
+    expect(await store.get('page:1')).toEqual(entry('A'));
+    expect(await store.get('page:2')).toEqual(entry('B'));
+
+    const reopened = createFileTokenStore(path, { secret: 's3cret' });
+    expect((await reopened.keys()).sort()).toEqual(['page:1', 'page:2']);
+  });
+
+  test('keeps an entry set while another call is still reading the file', async () => {
+    const path = join(dir, 'tokens.json');
+    await createFileTokenStore(path, { secret: 's3cret' }).set('page:0', entry('Z'));
+    const store = createFileTokenStore(path, { secret: 's3cret' });
+
+    const writing = store.set('page:1', entry('A'));
+    await new Promise((resolve) => setImmediate(resolve));
+    await Promise.all([writing, store.get('page:0')]);
+
+    expect((await store.keys()).sort()).toEqual(['page:0', 'page:1']);
+    expect((await createFileTokenStore(path, { secret: 's3cret' }).keys()).sort()).toEqual(['page:0', 'page:1']);
+  });
+
+  test('encrypts the file with a single salt that reopens with the same secret', async () => {
+    const path = join(dir, 'tokens.json');
+    const store = createFileTokenStore(path, { secret: 's3cret' });
+
+    await Promise.all(['1', '2', '3'].map((id) => store.set(`page:${id}`, entry(id))));
+
+    const file = JSON.parse(await readFile(path, 'utf8'));
+    expect(file.data).not.toContain('page:1');
+    expect(await createFileTokenStore(path, { secret: 's3cret' }).get('page:3')).toEqual(entry('3'));
+    await expect(createFileTokenStore(path, { secret: 'wrong' }).get('page:3'))
+      .rejects.toMatchObject({ code: 'TOKEN_STORE_ERROR' });
+  });
+});
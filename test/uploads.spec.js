@@ -0,0 +1,91 @@
+import { mockClient, reply } from './helpers.js';
+
+/**
+ * Builds a client whose transport plays Facebook's resumable upload protocol for a file
+ * of `size` bytes sent in `chunkSize` chunks. `failTransfer(call)` may return an error
+ * body to fail a transfer call (1-based count of transfer calls).
+ */
+function uploadClient({ size, chunkSize, failTransfer = () => null }) {
+  const bodies = [];
+  let transfers = 0;
+  const offsets = (start) => ({
+    start_offset: String(start),
+    end_offset: String(Math.min(start + chunkSize, size))
+  });
+
+  const { client } = mockClient(({ body }) => {
+    bodies.push(body);
+    if (body.upload_phase === 'start') {
+      return { upload_session_id: 'S1', video_id: 'V1', ...offsets(0) };
+    }
+    if (body.upload_phase === 'transfer') {
+      transfers += 1;
+      const error = failTransfer(transfers);
+      // Facebook answers server-side failures (code 2) with a 5xx, parameter errors with a 400
+      if (error) return reply({ error }, error.code === 2 ? 500 : 400);
+      return offsets(Number(body.start_offset) + body.video_file_chunk.size);
+    }
+    return { success: true };
+  }, { token: 'PAGE_TOKEN' });
+
+  return { client, calls: bodies };
+}
+
+const upload = (client, size, options = {}) => client.uploadPageVideo(
+  'P1',
+  new Blob([new Uint8Array(size)]),
+  'PAGE_TOKEN',
+  { resumable: true, resolvePageToken: false, ...options }
+);
+
+describe('uploadPageVideo (resumable)', () => {
+  test('sends chunks at the offsets Facebook asks for, then finishes', async () => {
+    const { client, calls } = uploadClient({ size: 25, chunkSize: 10 });
+    const progress = [];
+
+    const result = await upload(client, 25, { title: 'Demo', onProgress: (event) => progress.push(event.uploadedBytes) });
+
+    expect(calls.map((call) => call.upload_phase)).toEqual(['start', 'transfer', 'transfer', 'transfer', 'finish']);
+    expect(calls.filter((call) => call.upload_phase === 'transfer').map((call) => call.start_offset))
+      .toEqual(['0', '10', '20']);
+    expect(calls[4]).toMatchObject({ upload_session_id: 'S1', title: 'Demo' });
+    expect(progress).toEqual([0, 10, 20, 25]);
+    expect(result).toEqual({ success: true, id: 'V1' });
+  });
+
+  test('retries a failed chunk on its own without restarting the session', async () => {
+    const { client, calls } = uploadClient({
+      size: 20,
+      chunkSize: 10,
+      failTransfer: (call) => (call === 2 ? { code: 2, message: 'Service temporarily unavailable' } : null)
+    });
+
+    await upload(client, 20, { chunkRetryAttempts: 2 });
+
+    expect(calls.map((call) => call.upload_phase === 'transfer' ? call.start_offset : call.upload_phase))
+      .toEqual(['start', '0', '10', '10', 'finish']);
+  });
+
+  test('gives up once the chunk retries are used', async () => {
+    const { client, calls } = uploadClient({
+      size: 20,
+      chunkSize: 10,
+      failTransfer: () => ({ code: 2, message: 'Service temporarily unavailable' })
+    });
+
+    await expect(upload(client, 20, { chunkRetryAttempts: 1 })).rejects.toMatchObject({ context: 'uploadPageVideo' });
+    expect(calls.filter((call) => call.upload_phase === 'transfer')).toHaveLength(2);
+    expect(calls.some((call) => call.upload_phase === 'finish')).toBe(false);
+  });
+
+  test('does not retry chunks failing with a client error', async () => {
+    const { client, calls } = uploadClient({
+      size: 20,
+      chunkSize: 10,
+      failTransfer: () => ({ code: 100, message: 'Invalid parameter' })
+    });
+
+    await expect(upload(client, 20, { chunkRetryAttempts: 3 })).rejects.toMatchObject({ code: 'API_PARAMETER' });
+    expect(calls.filter((call) => call.upload_phase === 'transfer')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,83 @@
+import { mockClient, reply } from './helpers.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const sunsets = {
+  'v90.0': { released: '2024-01-01', expires: '2026-02-01' },
+  'v91.0': { released: '2024-06-01', expires: '2025-12-01' },
+  'v92.0': { released: '2025-01-01', expires: null }
+};
+
+/**
+ * Client recording its version:warning events; responses carry `headers`
+ */
+function versionClient(options = {}, headers = {}) {
+  const { client, calls } = mockClient(() => reply({}, 200, headers), {
+    token: 'TOKEN',
+    version: 'v92.0',
+    versionWarnings: { sunsets },
+    ...options
+  });
+  const warnings = [];
+  client.on('version:warning', (event) => warnings.push(event));
+  const read = (endpoint, apiOptions) => client.graphAPI(endpoint, 'TOKEN', 'GET', { fields: 'id' }, apiOptions);
+  return { client, calls, warnings, read };
+}
+
+describe('Graph API versions', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends pinned endpoints with their version and lets apiOptions.version win', async () => {
+    const { calls, read } = versionClient({ versions: { 'me/accounts': 'v92.0', '*/posts': 'v90.0' } });
+
+    await read('me/accounts');
+    await read('P1/posts');
+    await read('P1/posts', { version: 'v92.0' });
+    await read('me');
+
+    expect(calls.map((call) => call.url.pathname)).toEqual(['/v92.0/me/accounts', '/v90.0/P1/posts', '/v92.0/P1/posts', '/v92.0/me']);
+  });
+
+  test('warns once about a version close to its sunset', async () => {
+    const { warnings, read } = versionClient({ version: 'v90.0' });
+
+    await read('me');
+    await read('me');
+
+    expect(warnings).toEqual([expect.objectContaining({ type: 'deprecation', version: 'v90.0', expires: '2026-02-01', daysLeft: 31 })]);
+  });
+
+  test('warns about expired versions and stays quiet for active ones', async () => {
+    const { warnings, read } = versionClient();
+
+    await read('me');
+    await read('me', { version: 'v91.0' });
+
+    expect(warnings).toEqual([expect.objectContaining({ type: 'expired', version: 'v91.0' })]);
+  });
+
+  test('warns once when Facebook answers with another version', async () => {
+    const { warnings, read } = versionClient({}, { 'facebook-api-version': 'v93.0' });
+
+    await read('me');
+    await read('P1');
+
+    expect(warnings).toEqual([expect.objectContaining({ type: 'mismatch', version: 'v92.0', effectiveVersion: 'v93.0', endpoint: 'me' })]);
+  });
+
+  test('can be turned off', async () => {
+    const { warnings, read } = versionClient(
+      { version: 'v91.0', versionWarnings: { enabled: false, sunsets } },
+      { 'facebook-api-version': 'v93.0' }
+    );
+
+    await read('me');
+
+    expect(warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+import { mockClient } from './helpers.js';
+import { FacebookAPIError, FacebookPermissionError } from '../src/errors.js';
+
+/**
+ * Client whose user holds public_profile, plus the permissions they accept in the login
+ * dialog when `accept` is true
+ */
+function promptClient(accept = true) {
+  const permissions = ['public_profile'];
+  global.FB = {
+    login: jest.fn((callback, { scope }) => {
+      if (accept) permissions.push(...scope.split(','));
+      callback({ authResponse: { accessToken: 'TOKEN', expiresIn: 3600 } });
+    })
+  };
+  const { client } = mockClient(() => ({
+    permissions: { data: permissions.map((permission) => ({ permission, status: 'granted' })) }
+  }), { token: 'TOKEN' });
+  return client;
+}
+
+const denied = (code = 'PERMISSION_DENIED') => new FacebookPermissionError('denied', ['leads_retrieval'], code);
+
+/**
+ * Call failing with `error` the first time, then resolving
+ */
+const failOnce = (error) => {
+  let calls = 0;
+  return jest.fn(async () => {
+    calls++;
+    if (calls === 1) throw error;
+    return 'done';
+  });
+};
+
+describe('withPermissions', () => {
+  afterEach(() => {
+    delete global.FB;
+  });
+
+  test('asks for the missing permissions and runs the call once more', async () => {
+    const client = promptClient();
+    const call = failOnce(denied());
+
+    await expect(client.withPermissions(call)).resolves.toBe('done');
+
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(global.FB.login).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({
+      scope: 'leads_retrieval',
+      auth_type: 'rerequest'
+    }));
+  });
+
+  test('throws the original error with the result when the user declines', async () => {
+    const client = promptClient(false);
+    const error = denied('MISSING_PERMISSIONS');
+    const call = failOnce(error);
+
+    await expect(client.withPermissions(call)).rejects.toBe(error);
+
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(error.permissionResult).toMatchObject({ missing: ['leads_retrieval'], prompted: true });
+  });
+
+  test('rethrows other errors without prompting', async () => {
+    const client = promptClient();
+    const call = failOnce(new FacebookAPIError('bad', 'API_PARAMETER'));
+
+    await expect(client.withPermissions(call)).rejects.toMatchObject({ code: 'API_PARAMETER' });
+
+    expect(global.FB.login).not.toHaveBeenCalled();
+  });
+
+  test('does not prompt for permission errors that granting cannot fix', async () => {
+    const client = promptClient();
+
+    await expect(client.withPermissions(failOnce(denied('NOT_LOGGED_IN')))).rejects.toMatchObject({ code: 'NOT_LOGGED_IN' });
+    await expect(client.withPermissions(failOnce(denied('PAGE_NOT_ACCESSIBLE')))).rejects.toMatchObject({ code: 'PAGE_NOT_ACCESSIBLE' });
+
+    expect(global.FB.login).not.toHaveBeenCalled();
+  });
+});